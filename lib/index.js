@@ -1,16 +1,79 @@
 "use strict";
 
-var exportedObject;
+/* global AbortController */
+
+var exportedObject, promisifyCustom, util;
+
+util = require("util");
+
+// Versions of Node before 12.16 do not use the registered symbol for
+// util.promisify.custom, so the one from util is used when it exists.
+if (util.promisify && util.promisify.custom) {
+    promisifyCustom = util.promisify.custom;
+} else {
+    promisifyCustom = Symbol.for("nodejs.util.promisify.custom");
+}
+
+/**
+ * The library accepts these types of structures for a list. Iterables
+ * other than arrays and maps, such as sets and generators, are treated as
+ * arrays. Async iterables are also accepted by `all()`, `settle()`,
+ * `race()` and `reflect()`. They are read completely before anything else
+ * is done.
+ *
+ * @typedef {(Array|Object|Map|Set|Iterable)} morePromises~list
+ */
+
+/**
+ * Determines if a value is iterable and is not an array or a map.
+ *
+ * @param {*} list
+ * @return {boolean}
+ */
+function isOtherIterable(list) {
+    if (!list || typeof list !== "object" || Array.isArray(list) || list instanceof Map) {
+        return false;
+    }
+
+    return typeof list[Symbol.iterator] === "function";
+}
+
 
 /**
- * The library accepts these types of structures for a list.
+ * Determines if a value is an async iterable.
  *
- * @typedef {(Array|Object)} morePromises~list
+ * @param {*} list
+ * @return {boolean}
  */
+function isAsyncIterable(list) {
+    if (typeof Symbol.asyncIterator !== "symbol" || !list) {
+        return false;
+    }
+
+    return typeof list[Symbol.asyncIterator] === "function";
+}
+
+
+/**
+ * Changes iterables, other than arrays and maps, into arrays. This must be
+ * done before iterating more than once because iterables like generators
+ * can only be used once.
+ *
+ * @param {morePromises~list} list
+ * @return {morePromises~list}
+ */
+function normalizeList(list) {
+    if (isOtherIterable(list)) {
+        return Array.from(list);
+    }
+
+    return list;
+}
+
 
 /**
- * Iterate over an object or an array.  Calls the function with the following
- * arguments.
+ * Iterate over an object, an array, a map or another iterable.  Calls the
+ * function with the following arguments.
  *
  *   fn(value, key)
  *
@@ -18,8 +81,14 @@ var exportedObject;
  * @param {function} fn
  */
 function iterate(list, fn) {
+    list = normalizeList(list);
+
     if (Array.isArray(list)) {
         list.forEach(fn);
+    } else if (list instanceof Map) {
+        list.forEach((value, key) => {
+            fn(value, key);
+        });
     } else {
         Object.keys(list).forEach((key) => {
             fn(list[key], key);
@@ -44,6 +113,68 @@ function newPromise(fn) {
 }
 
 
+/**
+ * Determines if a value is a thenable, following the Promises/A+
+ * specification. The `then` property is only read once. Values that are
+ * not objects or functions, including null and undefined, are never
+ * thenables.
+ *
+ * When the value is not a thenable, this returns null. Otherwise it returns
+ * a function to call as `subscribe(onFulfilled, onRejected)`. Only the first
+ * call to either callback is used. If reading `then` or calling it throws,
+ * `onRejected` is called with the error.
+ *
+ * @param {*} value
+ * @return {(function|null)}
+ */
+function getThen(value) {
+    var then;
+
+    if (!value || typeof value !== "object" && typeof value !== "function") {
+        return null;
+    }
+
+    try {
+        then = value.then;
+    } catch (err) {
+        return (onFulfilled, onRejected) => {
+            onRejected(err);
+        };
+    }
+
+    if (typeof then !== "function") {
+        return null;
+    }
+
+    return (onFulfilled, onRejected) => {
+        var called;
+
+        /**
+         * Make sure only the first callback is used.
+         *
+         * @param {function} fn
+         * @return {function}
+         */
+        function once(fn) {
+            return (result) => {
+                if (!called) {
+                    called = true;
+                    fn(result);
+                }
+            };
+        }
+
+        called = false;
+
+        try {
+            then.call(value, once(onFulfilled), once(onRejected));
+        } catch (err) {
+            once(onRejected)(err);
+        }
+    };
+}
+
+
 /**
  * Creates a destination object that is similar to what's passed in.
  *
@@ -51,436 +182,3100 @@ function newPromise(fn) {
  * @return {morePromises~list} Empty, new list
  */
 function makeSimilarList(list) {
-    if (Array.isArray(list)) {
+    if (Array.isArray(list) || isOtherIterable(list)) {
         return [];
     }
 
+    if (list instanceof Map) {
+        return new Map();
+    }
+
     return {};
 }
 
 
 /**
- * Resolve all of the promises. When all of the promises are resolved, the
- * returned promise is resolved with a list, preserving keys, with the
- * resolved values.
- *
- * If any promise is rejected, this fails fast and bails. The first
- * rejection is provided.
+ * Sets a value in a list that was made by `makeSimilarList()`.
  *
  * @param {morePromises~list} list
- * @return {Promise.<morePromises~list>}
+ * @param {*} key
+ * @param {*} value
  */
-function all(list) {
-    return exportedObject.newPromise((resolve, reject) => {
-        var isDone, needed, result;
-
-        isDone = false;
-        result = makeSimilarList(list);
-        needed = 1;
-        iterate(list, (value, key) => {
-            if (typeof value.then === "function") {
-                needed += 1;
-                value.then((resolution) => {
-                    result[key] = resolution;
-
-                    if (!isDone) {
-                        needed -= 1;
+function setItem(list, key, value) {
+    if (list instanceof Map) {
+        list.set(key, value);
+    } else {
+        list[key] = value;
+    }
+}
 
-                        if (!needed) {
-                            isDone = true;
-                            resolve(result);
-                        }
-                    }
-                }, (rejection) => {
-                    if (!isDone) {
-                        isDone = true;
-                        reject(rejection);
-                    }
-                });
-            } else {
-                result[key] = value;
-            }
-        });
 
-        needed -= 1;
+/**
+ * Reads every value from an async iterable and resolves with an array of
+ * those values.
+ *
+ * @param {Object} iterable
+ * @return {Promise.<Array>}
+ */
+function collectAsyncIterable(iterable) {
+    return exportedObject.newPromise((resolve, reject) => {
+        var items, iterator;
 
-        if (!needed) {
-            isDone = true;
-            resolve(result);
+        /**
+         * Read the next value until the iterator is done.
+         */
+        function readNext() {
+            exportedObject.newPromise((resolveNext) => {
+                resolveNext(iterator.next());
+            }).then((step) => {
+                if (step.done) {
+                    resolve(items);
+                } else {
+                    items.push(step.value);
+                    readNext();
+                }
+            }, reject);
         }
+
+        items = [];
+        iterator = iterable[Symbol.asyncIterator]();
+        readNext();
     });
 }
 
 
 /**
- * Chain a node-style callback to a promise's resolution.
+ * Creates the rejection used when an operation is aborted.
  *
- * @param {Promise} promise
- * @param {function} callback
- * @return {Promise}
+ * @return {Error}
  */
-function callbackify(promise, callback) {
-    return promise.then((resolution) => {
-        callback(null, resolution);
-    }, callback);
+function makeAbortError() {
+    var err;
+
+    err = new Error("The operation was aborted");
+    err.name = "AbortError";
+
+    return err;
 }
 
 
 /**
- * Wait a specified amount of time then continue promise resolution.
- * When a promise is supplied as the first argument, the delay happens
- * after the first promise is resolved. No delay is added if the first
- * promise is rejected.
+ * Calls `fn` when the signal is aborted. The signal can be an AbortSignal
+ * or any cancel token that has an `aborted` property, `addEventListener()`
+ * and `removeEventListener()`.
  *
- * @param {Promise.<*>} [promise]
- * @param {number} ms
- * @return {Promise.<*>}
+ * @param {Object} [signal]
+ * @param {function} fn
+ * @return {function} Removes the listener
  */
-function delay(promise, ms) {
-    if (typeof promise === "number") {
-        ms = promise;
-        promise = null;
+function listenForAbort(signal, fn) {
+    if (!signal) {
+        return () => {};
     }
 
-    return exportedObject.newPromise((resolve, reject) => {
-        /**
-         * Start the delay and resolve the promise with the provided
-         * value.
-         *
-         * @param {*} value
-         */
-        function trigger(value) {
-            setTimeout(() => {
-                resolve(value);
-            }, ms);
-        }
+    signal.addEventListener("abort", fn);
 
-        if (promise) {
-            promise.then((resolution) => {
-                trigger(resolution);
-            }, reject);
-        } else {
-            trigger();
-        }
-    });
+    return () => {
+        signal.removeEventListener("abort", fn);
+    };
 }
 
 
 /**
- * Wraps a node-style callback function and instead returns a Promise.
+ * Creates an AbortController. When the environment does not provide one,
+ * a minimal replacement is made that has the same `abort()` method and
+ * `signal` property.
  *
- * @param {function} fn
- * @param {Object} [context]
- * @return {Promise.<*>}
+ * @return {Object}
  */
-function promisify(fn, context) {
-    // typeof null === "object", but that's ok in this instance
-    if (typeof context !== "object") {
-        context = null;
-    }
-
-    return function () {
-        var args;
+function makeAbortController() {
+    var listeners, signal;
 
-        args = [].slice.call(arguments);
+    if (typeof AbortController === "function") {
+        return new AbortController();
+    }
 
-        return exportedObject.newPromise((resolve, reject) => {
-            args.push((err, val) => {
-                if (err) {
-                    reject(err);
-                } else {
-                    resolve(val);
-                }
+    listeners = [];
+    signal = {
+        aborted: false,
+        addEventListener: (type, fn) => {
+            if (type === "abort") {
+                listeners.push(fn);
+            }
+        },
+        removeEventListener: (type, fn) => {
+            listeners = listeners.filter((listener) => {
+                return listener !== fn;
             });
-            fn.apply(context, args);
-        });
+        }
+    };
+
+    return {
+        abort: () => {
+            if (!signal.aborted) {
+                signal.aborted = true;
+                listeners.slice().forEach((listener) => {
+                    listener();
+                });
+            }
+        },
+        signal
     };
 }
 
 
 /**
- * Runs `promisify()` on all properties of an object, saving the promisified
- * version of the method with "Async" appended.
+ * Handles the `signal` and `abortOnSettle` options for the functions that
+ * work on lists. Returns null when neither option is used. Otherwise this
+ * returns an object with a `signal` to pass to tasks and a `done()` method
+ * that must be called once the outcome is decided.
  *
- * If the object already has the ...Async property defined, this does not
- * overwrite. In this way it does not double-promisify any methods. Also,
- * nothing is promisified if it ends in Async.
+ * When the `signal` in `options` is aborted, the tasks are aborted and
+ * `onAbort()` is called.
  *
- * @param {(Object|function)} obj
- * @return {Object}
+ * @param {Object} options
+ * @param {function} onAbort
+ * @return {(Object|null)}
  */
-function promisifyAll(obj) {
-    Object.getOwnPropertyNames(obj).filter((name) => {
-        var desc;
+function makeTaskAborter(options, onAbort) {
+    var controller, stopListening;
 
-        desc = Object.getOwnPropertyDescriptor(obj, name);
-
-        if (!desc || desc.get || desc.set) {
-            return false;
-        }
-
-        if (typeof obj[name] !== "function") {
-            return false;
-        }
+    if (!options.signal && !options.abortOnSettle) {
+        return null;
+    }
 
-        if (name.match(/Async$/)) {
-            return false;
-        }
+    controller = makeAbortController();
+    stopListening = listenForAbort(options.signal, () => {
+        controller.abort();
+        onAbort();
+    });
 
-        if (Object.prototype.hasOwnProperty.call(obj, `${name}Async`)) {
-            return false;
-        }
+    if (options.signal && options.signal.aborted) {
+        controller.abort();
+        onAbort();
+    }
 
-        return true;
-    }).forEach((name) => {
-        obj[`${name}Async`] = promisify(obj[name], obj);
-    });
+    return {
+        done: () => {
+            stopListening();
 
-    return obj;
+            if (options.abortOnSettle) {
+                controller.abort();
+            }
+        },
+        signal: controller.signal
+    };
 }
 
 
 /**
- * Resolve all of the promises. When all of the promises are resolved, the
- * returned promise is resolved with a list, preserving keys, with the
- * resolved values.
- *
- * If any promise is rejected, the rejections are collected and the returned
- * promise is rejected with that collection. Original indices of the list
- * are preserved.
+ * Handles the `onSettled` and `onProgress` options for the functions that
+ * work on lists. Returns a function to call as `report(key, state, value)`
+ * each time an item in the list is settled. The state is "fulfilled",
+ * "rejected" or "not-promise".
  *
- * If the `sparse` property in the `options` parameter is set to true, the
- * returned list won't have its original indices preserved. Instead, the
- * undefined indices will be removed.
+ * `options.onSettled` is called with the same arguments. `options.onProgress`
+ * is called with an object that has `completed`, `remaining` and `total`
+ * counts. Errors thrown by either function are thrown again asynchronously
+ * so they can not change the outcome of the list.
  *
  * @param {morePromises~list} list
- * @param {Object} [options]
- * @return {Promise.<morePromises~list>}
+ * @param {Object} options
+ * @return {function}
  */
-function settle(list, options) {
-    options = options || {};
+function makeProgressReporter(list, options) {
+    var completed, total;
 
-    return exportedObject.newPromise((resolve, reject) => {
-        var isFailure, needed, rejections, result;
+    if (!options.onSettled && !options.onProgress) {
+        return () => {};
+    }
 
-        /**
-         * Send the result if we need nothing else.
-         */
-        function isSettleDone() {
-            needed -= 1;
+    completed = 0;
+    total = 0;
+    iterate(list, () => {
+        total += 1;
+    });
 
-            if (!needed) {
-                if (isFailure) {
-                    if (!options.sparse && Array.isArray(list)) {
-                        rejections = rejections.filter(() => {
-                            return true;
-                        });
-                    }
+    return (key, state, value) => {
+        completed += 1;
 
-                    reject(rejections);
-                } else {
-                    resolve(result);
-                }
+        try {
+            if (options.onSettled) {
+                options.onSettled(key, state, value);
             }
-        }
 
-        isFailure = false;
-        result = makeSimilarList(list);
-        rejections = makeSimilarList(list);
-        needed = 1;
-        iterate(list, (value, key) => {
-            if (typeof value.then === "function") {
-                needed += 1;
-                value.then((resolution) => {
-                    result[key] = resolution;
-                    isSettleDone();
-                }, (rejection) => {
-                    isFailure = true;
-                    rejections[key] = rejection;
-                    isSettleDone();
+            if (options.onProgress) {
+                options.onProgress({
+                    completed,
+                    remaining: total - completed,
+                    total
                 });
-            } else {
-                result[key] = value;
             }
-        });
-        isSettleDone();
-    });
+        } catch (err) {
+            process.nextTick(() => {
+                throw err;
+            });
+        }
+    };
 }
 
 
 /**
- * Resolve or reject based on the first promise that is settled. Ignore
- * all of the slower promises.
+ * Handles the `itemTimeout` and `timeout` options for the functions that
+ * work on lists. The returned object has these methods.
  *
- * @param {morePromises~list} list
- * @return {Promise.<morePromises~list>}
+ *   wrap(subscribe): Adds timeouts to a subscribe function from `getThen()`
+ *   isTimeout(rejection): Determines if a rejection came from a timeout
+ *   clear(): Stops all timers, which must be done once the outcome is known
+ *
+ * `itemTimeout` rejects any item that takes too long. When the `timeout`
+ * elapses, every item that is still pending is rejected.
+ *
+ * @param {Object} options
+ * @return {Object}
  */
-function race(list) {
-    return exportedObject.newPromise((resolve, reject) => {
-        var isDone, otherPromises;
+function makeItemTimers(options) {
+    var batchTimer, items, timeoutErrors;
 
-        /**
-         * Send the result if this is the first result.
-         *
-         * @param {function} resolveOrReject
-         * @param {*} value
-         */
-        function wasSettled(resolveOrReject, value) {
-            if (!isDone) {
-                isDone = true;
-                resolveOrReject(value);
-            }
-        }
+    /**
+     * Creates a rejection for a timeout and remembers it.
+     *
+     * @param {number} ms
+     * @return {Error}
+     */
+    function makeTimeoutError(ms) {
+        var err;
 
-        isDone = false;
-        otherPromises = false;
-        iterate(list, (value) => {
-            otherPromises = true;
+        err = new Error(`Timeout after ${ms} milliseconds`);
+        timeoutErrors.add(err);
 
-            if (typeof value.then === "function") {
-                value.then((resolution) => {
-                    wasSettled(resolve, resolution);
+        return err;
+    }
+
+    items = [];
+    timeoutErrors = new WeakSet();
+
+    if (options.timeout) {
+        batchTimer = setTimeout(() => {
+            var err;
+
+            err = makeTimeoutError(options.timeout);
+            items.forEach((item) => {
+                item.expire(err);
+            });
+        }, options.timeout);
+    }
+
+    return {
+        clear: () => {
+            clearTimeout(batchTimer);
+            items.forEach((item) => {
+                clearTimeout(item.timer);
+            });
+            items = [];
+        },
+        isTimeout: (rejection) => {
+            return timeoutErrors.has(rejection);
+        },
+        wrap: (subscribe) => {
+            if (!subscribe || !options.itemTimeout && !options.timeout) {
+                return subscribe;
+            }
+
+            return (onFulfilled, onRejected) => {
+                var isSettled, item;
+
+                /**
+                 * Guards the callbacks so only the first is used.
+                 *
+                 * @param {function} fn
+                 * @param {*} value
+                 */
+                function settleItem(fn, value) {
+                    if (!isSettled) {
+                        isSettled = true;
+                        clearTimeout(item.timer);
+                        fn(value);
+                    }
+                }
+
+                isSettled = false;
+                item = {
+                    expire: (err) => {
+                        settleItem(onRejected, err);
+                    }
+                };
+
+                if (options.itemTimeout) {
+                    item.timer = setTimeout(() => {
+                        item.expire(makeTimeoutError(options.itemTimeout));
+                    }, options.itemTimeout);
+                }
+
+                items.push(item);
+                subscribe((resolution) => {
+                    settleItem(onFulfilled, resolution);
                 }, (rejection) => {
-                    wasSettled(reject, rejection);
+                    settleItem(onRejected, rejection);
                 });
+            };
+        }
+    };
+}
+
+
+/**
+ * When aborting is enabled, functions in a list are tasks that are called
+ * with an AbortSignal. They are expected to return a promise. Everything
+ * else is returned unchanged.
+ *
+ * @param {*} value
+ * @param {(Object|null)} aborter
+ * @return {*}
+ */
+function startTask(value, aborter) {
+    if (aborter && typeof value === "function") {
+        return exportedObject.newPromise((resolve) => {
+            resolve(value(aborter.signal));
+        });
+    }
+
+    return value;
+}
+
+
+/**
+ * Removes the holes from a sparse array unless the `sparse` property in
+ * `options` is set to true. Objects are returned unchanged.
+ *
+ * @param {morePromises~list} list
+ * @param {Object} options
+ * @return {morePromises~list}
+ */
+function condenseList(list, options) {
+    if (!options.sparse && Array.isArray(list)) {
+        return list.filter(() => {
+            return true;
+        });
+    }
+
+    return list;
+}
+
+
+/**
+ * Subscribes to a thenable right away and remembers how it was settled.
+ * This handles rejections from thenables whose results are only used
+ * later, or not at all. Returns null when the value is not a thenable.
+ * Otherwise it returns a function to call as
+ * `subscribe(onFulfilled, onRejected)`, just like `getThen()`, which may be
+ * called at any time.
+ *
+ * @param {*} value
+ * @return {(function|null)}
+ */
+function rememberOutcome(value) {
+    var callbacks, outcome, then;
+
+    /**
+     * Keeps the outcome and passes it to the waiting callbacks.
+     *
+     * @param {number} index 0 for fulfilled, 1 for rejected
+     * @param {*} result
+     */
+    function settled(index, result) {
+        outcome = {
+            index,
+            result
+        };
+        callbacks.splice(0).forEach((pair) => {
+            pair[index](result);
+        });
+    }
+
+    then = getThen(value);
+
+    if (!then) {
+        return null;
+    }
+
+    callbacks = [];
+    then((resolution) => {
+        settled(0, resolution);
+    }, (rejection) => {
+        settled(1, rejection);
+    });
+
+    return (onFulfilled, onRejected) => {
+        if (outcome) {
+            [
+                onFulfilled,
+                onRejected
+            ][outcome.index](outcome.result);
+        } else {
+            callbacks.push([
+                onFulfilled,
+                onRejected
+            ]);
+        }
+    };
+}
+
+
+/**
+ * Calls `fn(value, key)` for each item in the list without having more
+ * than `concurrency` calls pending at once. Items that are promises are
+ * resolved before they are passed to `fn`. Every promise is watched from
+ * the start so rejections are handled, even for items that are never
+ * passed to `fn`.
+ *
+ * As each call is settled, `wasSettled(key, state, value)` is called with
+ * a state of "fulfilled" or "rejected". When it returns a truthy value, no
+ * further calls are started. After every started call is settled, `whenDone`
+ * is called.
+ *
+ * @param {morePromises~list} list
+ * @param {function} fn
+ * @param {number} [concurrency] Defaults to no limit
+ * @param {function} wasSettled
+ * @param {function} whenDone
+ */
+function mapWithLimit(list, fn, concurrency, wasSettled, whenDone) {
+    var entries, i, isStopped, position, workers;
+
+    /**
+     * Take the next entry and call `fn` with it. Repeats until there are
+     * no more entries or until told to stop.
+     */
+    function work() {
+        var entry;
+
+        if (isStopped || position >= entries.length) {
+            workers -= 1;
+
+            if (!workers) {
+                whenDone();
+            }
+
+            return;
+        }
+
+        entry = entries[position];
+        position += 1;
+        exportedObject.newPromise((resolve, reject) => {
+            if (entry.subscribe) {
+                entry.subscribe(resolve, reject);
             } else {
-                wasSettled(resolve, value);
+                resolve(entry.value);
+            }
+        }).then((value) => {
+            return fn(value, entry.key);
+        }).then((resolution) => {
+            return wasSettled(entry.key, "fulfilled", resolution);
+        }, (rejection) => {
+            return wasSettled(entry.key, "rejected", rejection);
+        }).then((shouldStop) => {
+            if (shouldStop) {
+                isStopped = true;
             }
+
+            work();
         });
+    }
 
-        if (!otherPromises) {
-            wasSettled(resolve);
-        }
+    entries = [];
+    iterate(list, (value, key) => {
+        entries.push({
+            key,
+            subscribe: rememberOutcome(value),
+            value
+        });
     });
+    isStopped = false;
+    position = 0;
+
+    if (!(concurrency > 0)) {
+        concurrency = entries.length;
+    }
+
+    workers = Math.min(concurrency, entries.length);
+
+    if (!workers) {
+        whenDone();
+
+        return;
+    }
+
+    for (i = workers; i > 0; i -= 1) {
+        work();
+    }
 }
 
 
 /**
- * Resolve all of the promises. When all of the promises are resolved or
- * rejected, the returned promise is resolved with a list, preserving keys,
- * with value objects that resemble this:
+ * Determines if a value is an array, a map or a plain object, which are
+ * the structures that are searched by `resolveDeep()`.
  *
- *   {
- *       state: "fulfilled" // or "rejected"
- *       value: ... // The resolution or rejection value
- *   }
+ * @param {*} value
+ * @return {boolean}
+ */
+function isPlainList(value) {
+    var proto;
+
+    if (Array.isArray(value) || value instanceof Map) {
+        return true;
+    }
+
+    if (!value || typeof value !== "object") {
+        return false;
+    }
+
+    proto = Object.getPrototypeOf(value);
+
+    return proto === Object.prototype || proto === null;
+}
+
+
+/**
+ * Copies a value, searching through nested arrays, maps and plain objects
+ * for promises. Every promise that is found is resolved and its resolution is
+ * put in the copy. Resolution values are not searched.
  *
- * If the original value was not a promise, it instead will look like this:
+ * If any promise is rejected, this fails fast and bails. Circular
+ * structures are rejected with a TypeError.
  *
- *   {
- *       state: "not-promise"
- *       value: ... // The original value
- *   }
+ * @param {*} value
+ * @return {Promise.<*>}
+ */
+function resolveDeep(value) {
+    return exportedObject.newPromise((resolve, reject) => {
+        var ancestors, holder, isDone, needed;
+
+        /**
+         * Send the result if this is the first result.
+         *
+         * @param {function} resolveOrReject
+         * @param {*} result
+         */
+        function wasSettled(resolveOrReject, result) {
+            if (!isDone) {
+                isDone = true;
+                resolveOrReject(result);
+            }
+        }
+
+        /**
+         * Copy `item` to `target[key]`, resolving promises and searching
+         * through lists.
+         *
+         * @param {Object} target
+         * @param {(string|number)} key
+         * @param {*} item
+         */
+        function fill(target, key, item) {
+            var copy, then;
+
+            then = getThen(item);
+
+            if (then) {
+                // Keeps the position of the key in maps and objects
+                setItem(target, key, item);
+                needed += 1;
+                then((resolution) => {
+                    setItem(target, key, resolution);
+                    needed -= 1;
+
+                    if (!needed) {
+                        wasSettled(resolve, holder.value);
+                    }
+                }, (rejection) => {
+                    wasSettled(reject, rejection);
+                });
+            } else if (!isPlainList(item)) {
+                setItem(target, key, item);
+            } else if (ancestors.indexOf(item) === -1) {
+                ancestors.push(item);
+                copy = makeSimilarList(item);
+                setItem(target, key, copy);
+                iterate(item, (child, childKey) => {
+                    fill(copy, childKey, child);
+                });
+                ancestors.pop();
+            } else {
+                wasSettled(reject, new TypeError("Unable to resolve a circular structure"));
+            }
+        }
+
+        ancestors = [];
+        holder = {};
+        isDone = false;
+        needed = 1;
+        fill(holder, "value", value);
+        needed -= 1;
+
+        if (!needed) {
+            wasSettled(resolve, holder.value);
+        }
+    });
+}
+
+
+/**
+ * Finds the options of `all()` that can not be used together with the
+ * `deep` option. Returns a TypeError naming them, or null when there are
+ * none.
  *
+ * @param {Object} options
+ * @return {(TypeError|null)}
+ */
+function checkDeepOptions(options) {
+    var unsupported;
+
+    unsupported = [
+        "abortOnSettle",
+        "itemTimeout",
+        "onProgress",
+        "onSettled",
+        "signal",
+        "timeout"
+    ].filter((name) => {
+        return options[name];
+    });
+
+    if (!unsupported.length) {
+        return null;
+    }
+
+    return new TypeError(`The deep option can not be used with ${unsupported.join(", ")}`);
+}
+
+
+/**
+ * Waits until `count` promises in the list are fulfilled and resolves with
+ * a list of those resolution values, preserving keys. Values that are not
+ * promises count as fulfilled.
  *
- * The returned promise is never rejected.
+ * As soon as too many promises are rejected for `count` to be reached, the
+ * returned promise is rejected with a list of the rejections, preserving
+ * keys. For both lists, arrays are condensed unless the `sparse` property in
+ * `options` is set to true.
  *
  * @param {morePromises~list} list
+ * @param {number} count
+ * @param {Object} options
  * @return {Promise.<morePromises~list>}
  */
-function reflect(list) {
-    return exportedObject.newPromise((resolve) => {
-        var needed, result;
+function waitForFulfilled(list, count, options) {
+    list = normalizeList(list);
+
+    return exportedObject.newPromise((resolve, reject) => {
+        var fulfilled, isDone, rejected, rejections, result, total;
 
         /**
-         * Store the result of the promise.  Send the result if we need
-         * nothing else.
-         *
-         * @param {*} key
-         * @param {string} state
-         * @param {*} value
+         * Send the result when enough promises are fulfilled or when
+         * there are not enough left that could be fulfilled.
          */
-        function wasSettled(key, state, value) {
-            result[key] = {
-                state,
-                value
-            };
-            needed -= 1;
+        function checkDone() {
+            if (isDone) {
+                return;
+            }
 
-            if (!needed) {
-                resolve(result);
+            if (fulfilled >= count) {
+                isDone = true;
+                resolve(condenseList(result, options));
+            } else if (total - rejected < count) {
+                isDone = true;
+                reject(condenseList(rejections, options));
             }
         }
 
+        fulfilled = 0;
+        isDone = false;
+        rejected = 0;
+        rejections = makeSimilarList(list);
         result = makeSimilarList(list);
-        needed = 1;
+        total = 0;
+        iterate(list, () => {
+            total += 1;
+        });
+        checkDone();
         iterate(list, (value, key) => {
-            needed += 1;
+            var then;
 
-            if (typeof value.then === "function") {
-                value.then((resolution) => {
-                    wasSettled(key, "fulfilled", resolution);
+            then = getThen(value);
+
+            if (then) {
+                then((resolution) => {
+                    if (!isDone) {
+                        setItem(result, key, resolution);
+                        fulfilled += 1;
+                        checkDone();
+                    }
                 }, (rejection) => {
-                    wasSettled(key, "rejected", rejection);
+                    if (!isDone) {
+                        setItem(rejections, key, rejection);
+                        rejected += 1;
+                        checkDone();
+                    }
                 });
-            } else {
-                wasSettled(key, "not-promise", value);
+            } else if (!isDone) {
+                setItem(result, key, value);
+                fulfilled += 1;
+                checkDone();
             }
         });
-
-        needed -= 1;
-
-        if (!needed) {
-            resolve(result);
-        }
     });
 }
 
 
 /**
- * Creates a promise that is resolved or rejected by the original promise.
- * However, a timer is also started and the timer can reject the promise
- * early if the time elapses.
+ * Resolve all of the promises. When all of the promises are resolved, the
+ * returned promise is resolved with a list, preserving keys, with the
+ * resolved values.
  *
- * @param {Promise} promise
- * @param {number} ms
- * @param {*} [timeoutRejection=Error(`Timeout after ${ms} milliseconds`)]
- * @return {Promise}
+ * If any promise is rejected, this fails fast and bails. The first
+ * rejection is provided.
+ *
+ * When the `signal` or `abortOnSettle` property in `options` is set,
+ * functions in the list are called with an AbortSignal. That signal is
+ * aborted when `options.signal` is aborted, which also rejects the returned
+ * promise. When the signal is already aborted, no functions are called.
+ * With `abortOnSettle`, the signal is aborted once the returned
+ * promise is settled so the remaining tasks can stop.
+ *
+ * When the `deep` property in `options` is set, this works like `props()`
+ * and resolves promises in nested arrays, maps and objects. The other
+ * options do not apply to nested structures, so using any of them together
+ * with `deep` rejects with a TypeError.
+ *
+ * The `onSettled` and `onProgress` functions in `options` are called as
+ * each item is settled, even after the returned promise is settled.
+ *
+ * The `itemTimeout` option rejects any item that is not settled within that
+ * many milliseconds. When the `timeout` option elapses, every item that is
+ * still pending is rejected. Both use the same rejection as `timeout()`.
+ *
+ * @param {morePromises~list} list
+ * @param {Object} [options]
+ * @return {Promise.<morePromises~list>}
  */
-function timeout(promise, ms, timeoutRejection) {
-    if (!timeoutRejection) {
-        timeoutRejection = new Error(`Timeout after ${ms} milliseconds`);
+function all(list, options) {
+    var err;
+
+    options = options || {};
+
+    if (isAsyncIterable(list)) {
+        return collectAsyncIterable(list).then((items) => {
+            return all(items, options);
+        });
     }
 
+    if (options.deep) {
+        err = checkDeepOptions(options);
+
+        if (err) {
+            return exportedObject.newPromise((resolve, reject) => {
+                reject(err);
+            });
+        }
+
+        return resolveDeep(list);
+    }
+
+    list = normalizeList(list);
+
     return exportedObject.newPromise((resolve, reject) => {
-        var settled;
+        var aborter, isDone, needed, report, result, timers;
 
         /**
-         * Guards resolve/reject so the outgoing promise is only
-         * resolved or rejected once.
+         * Send the result if this is the first result.
          *
-         * @param {function} fn resolve or reject
+         * @param {function} resolveOrReject
          * @param {*} value
          */
-        function settleTimeout(fn, value) {
-            if (!settled) {
-                settled = true;
-                fn(value);
+        function wasSettled(resolveOrReject, value) {
+            if (!isDone) {
+                isDone = true;
+                timers.clear();
+
+                if (aborter) {
+                    aborter.done();
+                }
+
+                resolveOrReject(value);
             }
         }
 
-        settled = false;
+        if (options.signal && options.signal.aborted) {
+            reject(makeAbortError());
+
+            return;
+        }
+
+        isDone = false;
+        timers = makeItemTimers(options);
+        aborter = makeTaskAborter(options, () => {
+            wasSettled(reject, makeAbortError());
+        });
+        report = makeProgressReporter(list, options);
+        result = makeSimilarList(list);
+        needed = 1;
+        iterate(list, (value, key) => {
+            var then;
+
+            value = startTask(value, aborter);
+            then = timers.wrap(getThen(value));
+
+            if (then) {
+                needed += 1;
+                then((resolution) => {
+                    setItem(result, key, resolution);
+                    needed -= 1;
+
+                    if (!needed) {
+                        wasSettled(resolve, result);
+                    }
+
+                    report(key, "fulfilled", resolution);
+                }, (rejection) => {
+                    wasSettled(reject, rejection);
+                    report(key, "rejected", rejection);
+                });
+            } else {
+                setItem(result, key, value);
+                report(key, "not-promise", value);
+            }
+        });
+
+        needed -= 1;
+
+        if (!needed) {
+            wasSettled(resolve, result);
+        }
+    });
+}
+
+
+/**
+ * Resolve with the first promise that is fulfilled. Non-promise values are
+ * already fulfilled and will win.
+ *
+ * When every promise is rejected, the returned promise is rejected with a
+ * list of the rejections, preserving keys, just like `settle()`. This also
+ * honors the `sparse` property in `options`.
+ *
+ * @param {morePromises~list} list
+ * @param {Object} [options]
+ * @return {Promise.<*>}
+ */
+function any(list, options) {
+    return waitForFulfilled(list, 1, options || {}).then((winners) => {
+        var isFirst, winner;
+
+        isFirst = true;
+        iterate(winners, (value) => {
+            if (isFirst) {
+                isFirst = false;
+                winner = value;
+            }
+        });
+
+        return winner;
+    });
+}
+
+
+/**
+ * Chain a node-style callback to a promise's resolution.
+ *
+ * When the promise is rejected with a falsy value, the callback would not
+ * be able to tell that there was an error. Instead, the callback receives
+ * an Error with a `reason` property set to the original rejection.
+ *
+ * When passed only a function that returns a promise, this returns a
+ * node-style function instead. Its last argument is the callback, and a
+ * TypeError is thrown right away when that is not a function. If the
+ * callback throws, the error is thrown asynchronously so the callback is
+ * never called twice.
+ *
+ * @param {(Promise|function)} promise
+ * @param {function} [callback]
+ * @return {(Promise|function)}
+ */
+function callbackify(promise, callback) {
+    var fn, wrapper;
+
+    if (typeof promise === "function") {
+        fn = promise;
+
+        /**
+         * Calls the function and passes its result to the callback, which
+         * is the last argument.
+         *
+         * @this {Object}
+         */
+        wrapper = function () {
+            var args, done;
+
+            args = [].slice.call(arguments);
+            done = args.pop();
+
+            if (typeof done !== "function") {
+                throw new TypeError("The last argument must be a callback function");
+            }
+
+            callbackify(exportedObject.newPromise((resolve) => {
+                resolve(fn.apply(this, args));
+            }), done).then(null, (err) => {
+                process.nextTick(() => {
+                    throw err;
+                });
+            });
+        };
+
+        return wrapper;
+    }
+
+    return promise.then((resolution) => {
+        callback(null, resolution);
+    }, (rejection) => {
+        var err;
+
+        if (!rejection) {
+            err = new Error("Promise was rejected with a falsy value");
+            err.reason = rejection;
+            rejection = err;
+        }
+
+        callback(rejection);
+    });
+}
+
+
+/**
+ * Wait a specified amount of time then continue promise resolution.
+ * When a promise is supplied as the first argument, the delay happens
+ * after the first promise is resolved. No delay is added if the first
+ * promise is rejected.
+ *
+ * When the `signal` property in `options` is aborted, the timer is cleared
+ * and the returned promise is rejected with an AbortError.
+ *
+ * @param {Promise.<*>} [promise]
+ * @param {number} ms
+ * @param {Object} [options]
+ * @return {Promise.<*>}
+ */
+function delay(promise, ms, options) {
+    if (typeof promise === "number") {
+        options = ms;
+        ms = promise;
+        promise = null;
+    }
+
+    options = options || {};
+
+    return exportedObject.newPromise((resolve, reject) => {
+        var settled, stopListening, timer;
+
+        /**
+         * Guards resolve/reject so the outgoing promise is only
+         * resolved or rejected once.
+         *
+         * @param {function} fn resolve or reject
+         * @param {*} value
+         */
+        function settleDelay(fn, value) {
+            if (!settled) {
+                settled = true;
+                clearTimeout(timer);
+                stopListening();
+                fn(value);
+            }
+        }
+
+        /**
+         * Start the delay and resolve the promise with the provided
+         * value.
+         *
+         * @param {*} value
+         */
+        function trigger(value) {
+            if (!settled) {
+                timer = setTimeout(() => {
+                    settleDelay(resolve, value);
+                }, ms);
+            }
+        }
+
+        settled = false;
+        stopListening = listenForAbort(options.signal, () => {
+            settleDelay(reject, makeAbortError());
+        });
+
+        if (options.signal && options.signal.aborted) {
+            settleDelay(reject, makeAbortError());
+        }
+
+        if (promise) {
+            promise.then((resolution) => {
+                trigger(resolution);
+            }, (rejection) => {
+                settleDelay(reject, rejection);
+            });
+        } else {
+            trigger();
+        }
+    });
+}
+
+
+/**
+ * Wraps a function so it is only called once calls to the wrapper stop for
+ * `ms` milliseconds. Every call during that window receives the same
+ * promise, which settles with the result of calling the function with the
+ * arguments and context of the last call.
+ *
+ * @param {function} fn
+ * @param {number} ms
+ * @return {function}
+ */
+function debounce(fn, ms) {
+    var controller, pending, wrapper;
+
+    /**
+     * Restarts the wait and returns the shared promise.
+     *
+     * @this {Object}
+     * @return {Promise.<*>}
+     */
+    wrapper = function () {
+        var args, current;
+
+        args = [].slice.call(arguments);
+
+        if (controller) {
+            controller.abort();
+        }
+
+        if (!pending) {
+            pending = {};
+            pending.promise = exportedObject.newPromise((resolve, reject) => {
+                pending.reject = reject;
+                pending.resolve = resolve;
+            });
+        }
+
+        controller = makeAbortController();
+        current = pending;
+        delay(ms, {
+            signal: controller.signal
+        }).then(() => {
+            controller = null;
+            pending = null;
+            current.resolve(exportedObject.newPromise((resolve) => {
+                resolve(fn.apply(this, args));
+            }));
+        }, () => {});
+
+        return current.promise;
+    };
+
+    return wrapper;
+}
+
+
+/**
+ * Creates a deferred object, which has a promise along with the functions
+ * that resolve and reject it. The deferred also has a `state` property,
+ * which is "pending", "fulfilled" or "rejected", and an `isSettled`
+ * property. When resolved with a thenable, the deferred stays pending
+ * until the thenable is settled. The thenable's `then` is only called once
+ * and that subscription settles both the promise and the state.
+ *
+ * @return {Object}
+ */
+function defer() {
+    var deferred, isLocked;
+
+    /**
+     * Records the outcome of the promise.
+     *
+     * @param {string} state
+     */
+    function settleState(state) {
+        deferred.isSettled = true;
+        deferred.state = state;
+    }
+
+    deferred = {
+        isSettled: false,
+        state: "pending"
+    };
+    isLocked = false;
+    deferred.promise = exportedObject.newPromise((resolve, reject) => {
+        /**
+         * Settles the promise with the value, following thenables.
+         *
+         * @param {*} value
+         */
+        function adopt(value) {
+            var then;
+
+            if (value === deferred.promise) {
+                settleState("rejected");
+                reject(new TypeError("A deferred can not be resolved with its own promise"));
+
+                return;
+            }
+
+            then = getThen(value);
+
+            if (then) {
+                then(adopt, (err) => {
+                    settleState("rejected");
+                    reject(err);
+                });
+            } else {
+                settleState("fulfilled");
+                resolve(value);
+            }
+        }
+
+        deferred.reject = (rejection) => {
+            if (!isLocked) {
+                isLocked = true;
+                settleState("rejected");
+                reject(rejection);
+            }
+        };
+        deferred.resolve = (resolution) => {
+            if (!isLocked) {
+                isLocked = true;
+                adopt(resolution);
+            }
+        };
+    });
+
+    return deferred;
+}
+
+
+/**
+ * Calls `fn(value, key)` for every item in the list and resolves with a
+ * list, preserving keys, of the values returned by `fn`. Items that are
+ * promises are resolved before being passed to `fn`.
+ *
+ * The `concurrency` property in `options` limits how many calls to `fn`
+ * may be pending at once. When not set, everything is started immediately.
+ *
+ * If any call is rejected, this fails fast and bails with the first
+ * rejection. No further calls to `fn` are started after that.
+ *
+ * @param {morePromises~list} list
+ * @param {function} fn
+ * @param {Object} [options]
+ * @return {Promise.<morePromises~list>}
+ */
+function map(list, fn, options) {
+    options = options || {};
+
+    return exportedObject.newPromise((resolve, reject) => {
+        var isDone, result;
+
+        isDone = false;
+        result = makeSimilarList(list);
+        mapWithLimit(list, fn, options.concurrency, (key, state, value) => {
+            if (isDone) {
+                return true;
+            }
+
+            if (state === "rejected") {
+                isDone = true;
+                reject(value);
+
+                return true;
+            }
+
+            setItem(result, key, value);
+
+            return false;
+        }, () => {
+            if (!isDone) {
+                isDone = true;
+                resolve(result);
+            }
+        });
+    });
+}
+
+
+/**
+ * Calls `fn(value, key)` for every item in the list, the same as `map()`,
+ * but waits for every call to be settled instead of bailing. When all calls
+ * are fulfilled, the returned promise is resolved with a list, preserving
+ * keys, of the values returned by `fn`.
+ *
+ * If any call is rejected, the rejections are collected and the returned
+ * promise is rejected with that collection, just like `settle()`. This
+ * also honors the `sparse` property in `options`.
+ *
+ * @param {morePromises~list} list
+ * @param {function} fn
+ * @param {Object} [options]
+ * @return {Promise.<morePromises~list>}
+ */
+function mapSettle(list, fn, options) {
+    options = options || {};
+
+    return exportedObject.newPromise((resolve, reject) => {
+        var isFailure, rejections, result;
+
+        isFailure = false;
+        result = makeSimilarList(list);
+        rejections = makeSimilarList(list);
+        mapWithLimit(list, fn, options.concurrency, (key, state, value) => {
+            if (state === "rejected") {
+                isFailure = true;
+                setItem(rejections, key, value);
+            } else {
+                setItem(result, key, value);
+            }
+
+            return false;
+        }, () => {
+            if (isFailure) {
+                reject(condenseList(rejections, options));
+            } else {
+                resolve(result);
+            }
+        });
+    });
+}
+
+
+/**
+ * Calls `fn(value, key)` for every item in the list, the same as `map()`,
+ * and resolves with a list, preserving keys, of objects that describe how
+ * each call was settled. These are the same as what `reflect()` provides.
+ *
+ *   {
+ *       state: "fulfilled" // or "rejected"
+ *       value: ... // The resolution or rejection value
+ *   }
+ *
+ * The returned promise is never rejected.
+ *
+ * @param {morePromises~list} list
+ * @param {function} fn
+ * @param {Object} [options]
+ * @return {Promise.<morePromises~list>}
+ */
+function mapReflect(list, fn, options) {
+    options = options || {};
+
+    return exportedObject.newPromise((resolve) => {
+        var result;
+
+        result = makeSimilarList(list);
+        mapWithLimit(list, fn, options.concurrency, (key, state, value) => {
+            setItem(result, key, {
+                state,
+                value
+            });
+
+            return false;
+        }, () => {
+            resolve(result);
+        });
+    });
+}
+
+
+/**
+ * Wraps a function so its promises are cached. Calls with the same key
+ * share one promise, including calls made while it is still pending.
+ *
+ * These properties are used from `options`:
+ *
+ *   key: function(...args) that returns the cache key, defaults to using
+ *     the first argument
+ *   ttl: Milliseconds to keep a resolution, defaults to forever
+ *   cacheRejections: When true, rejections are cached like resolutions
+ *
+ * Entries are removed from the cache when their ttl expires. The timers
+ * for this do not keep Node running. The wrapper has a `clear()` method
+ * that empties the cache and a `size` property with the number of cached
+ * entries.
+ *
+ * @param {function} fn
+ * @param {Object} [options]
+ * @return {function}
+ */
+function memoize(fn, options) {
+    var cache, wrapper;
+
+    /**
+     * Removes the entry from the cache once the ttl elapses.
+     *
+     * @param {*} key
+     * @param {Object} entry
+     */
+    function expireLater(key, entry) {
+        if (!options.ttl) {
+            return;
+        }
+
+        entry.expires = Date.now() + options.ttl;
+        entry.timer = setTimeout(() => {
+            if (cache.get(key) === entry) {
+                cache.delete(key);
+            }
+        }, options.ttl);
+
+        if (entry.timer.unref) {
+            entry.timer.unref();
+        }
+    }
+
+    options = options || {};
+    cache = new Map();
+
+    /**
+     * Returns the cached promise for the key or calls the function.
+     *
+     * @this {Object}
+     * @return {Promise.<*>}
+     */
+    wrapper = function () {
+        var args, entry, key;
+
+        args = [].slice.call(arguments);
+
+        if (options.key) {
+            key = options.key.apply(this, args);
+        } else {
+            key = args[0];
+        }
+
+        entry = cache.get(key);
+
+        if (entry && (!entry.expires || entry.expires > Date.now())) {
+            return entry.promise;
+        }
+
+        entry = {};
+        entry.promise = exportedObject.newPromise((resolve) => {
+            resolve(fn.apply(this, args));
+        });
+        cache.set(key, entry);
+        entry.promise.then(() => {
+            expireLater(key, entry);
+        }, () => {
+            if (options.cacheRejections) {
+                expireLater(key, entry);
+            } else if (cache.get(key) === entry) {
+                cache.delete(key);
+            }
+        });
+
+        return entry.promise;
+    };
+    wrapper.clear = () => {
+        cache.forEach((entry) => {
+            clearTimeout(entry.timer);
+        });
+        cache.clear();
+    };
+    Object.defineProperty(wrapper, "size", {
+        get: () => {
+            return cache.size;
+        }
+    });
+
+    return wrapper;
+}
+
+
+/**
+ * Calls `fn(value, key)` for each item in the list, one at a time and in
+ * order. Items that are promises are resolved first. Resolves with a list,
+ * preserving keys, of the resolved items. Bails with the first rejection.
+ *
+ * @param {morePromises~list} list
+ * @param {function} fn
+ * @return {Promise.<morePromises~list>}
+ */
+function each(list, fn) {
+    return map(list, (value, key) => {
+        return exportedObject.newPromise((resolve) => {
+            resolve(fn(value, key));
+        }).then(() => {
+            return value;
+        });
+    }, {
+        concurrency: 1
+    });
+}
+
+
+/**
+ * Reduces a list to a single value, one item at a time and in order. Calls
+ * `fn(accumulator, value, key)` where the accumulator is the resolution of
+ * the previous call. Items and the initial value may be promises.
+ *
+ * When no initial value is passed, the first item is used instead.
+ *
+ * @param {morePromises~list} list
+ * @param {function} fn
+ * @param {*} [initial]
+ * @return {Promise.<*>}
+ */
+function reduce(list, fn, initial) {
+    var accumulator, hasInitial;
+
+    accumulator = initial;
+    hasInitial = arguments.length > 2;
+
+    return map(list, (value, key) => {
+        if (!hasInitial) {
+            hasInitial = true;
+            accumulator = value;
+
+            return null;
+        }
+
+        return exportedObject.newPromise((resolve) => {
+            resolve(accumulator);
+        }).then((resolution) => {
+            return fn(resolution, value, key);
+        }).then((resolution) => {
+            accumulator = resolution;
+        });
+    }, {
+        concurrency: 1
+    }).then(() => {
+        return accumulator;
+    });
+}
+
+
+/**
+ * Calls each function in the list, one at a time and in order, and
+ * resolves with a list, preserving keys, of their results. Items that are
+ * not functions are used as results. Bails with the first rejection.
+ *
+ * @param {morePromises~list} list
+ * @return {Promise.<morePromises~list>}
+ */
+function series(list) {
+    return map(list, (task) => {
+        if (typeof task === "function") {
+            return task();
+        }
+
+        return task;
+    }, {
+        concurrency: 1
+    });
+}
+
+
+/**
+ * Calls each function in the list, one at a time and in order, passing it
+ * the result of the previous function. The first function is passed the
+ * seed. Resolves with the result of the last function.
+ *
+ * @param {morePromises~list} list
+ * @param {*} [seed]
+ * @return {Promise.<*>}
+ */
+function waterfall(list, seed) {
+    return reduce(list, (value, fn) => {
+        return fn(value);
+    }, seed);
+}
+
+
+/**
+ * Calls `predicate(value, key)` for every item using `map()` and resolves
+ * with a list of `{ passed, value }` objects, preserving keys.
+ *
+ * @param {morePromises~list} list
+ * @param {function} predicate
+ * @param {Object} [options]
+ * @return {Promise.<morePromises~list>}
+ */
+function testItems(list, predicate, options) {
+    return map(list, (value, key) => {
+        return exportedObject.newPromise((resolve) => {
+            resolve(predicate(value, key));
+        }).then((passed) => {
+            return {
+                passed: Boolean(passed),
+                value
+            };
+        });
+    }, options);
+}
+
+
+/**
+ * Picks the values from the results of `testItems()` that passed or
+ * failed. Keys are preserved for objects and maps, while arrays are
+ * condensed so the order is kept without holes.
+ *
+ * @param {morePromises~list} results
+ * @param {boolean} passed
+ * @return {morePromises~list}
+ */
+function pickItems(results, passed) {
+    var picked;
+
+    picked = makeSimilarList(results);
+    iterate(results, (result, key) => {
+        if (result.passed === passed) {
+            setItem(picked, key, result.value);
+        }
+    });
+
+    return condenseList(picked, {});
+}
+
+
+/**
+ * Resolves with a list of the items where `predicate(value, key)` returns
+ * a truthy value or a promise for one. Items that are promises are
+ * resolved before being passed to the predicate. Object keys are preserved
+ * and arrays keep their order.
+ *
+ * The `concurrency` property in `options` limits how many calls to the
+ * predicate may be pending at once, just like `map()`.
+ *
+ * @param {morePromises~list} list
+ * @param {function} predicate
+ * @param {Object} [options]
+ * @return {Promise.<morePromises~list>}
+ */
+function filter(list, predicate, options) {
+    return testItems(list, predicate, options).then((results) => {
+        return pickItems(results, true);
+    });
+}
+
+
+/**
+ * Works like `filter()` but resolves with an array of two lists. The first
+ * has the items that passed and the second has the items that failed.
+ *
+ * @param {morePromises~list} list
+ * @param {function} predicate
+ * @param {Object} [options]
+ * @return {Promise.<Array>}
+ */
+function partition(list, predicate, options) {
+    return testItems(list, predicate, options).then((results) => {
+        return [
+            pickItems(results, true),
+            pickItems(results, false)
+        ];
+    });
+}
+
+
+/**
+ * Converts the values passed to a node-style callback, not including the
+ * error, into the resolution value for `promisify()`.
+ *
+ * @param {Array} values
+ * @param {Object} options
+ * @return {*}
+ */
+function callbackResolution(values, options) {
+    var result;
+
+    if (options.names) {
+        result = {};
+        options.names.forEach((name, index) => {
+            result[name] = values[index];
+        });
+
+        return result;
+    }
+
+    if (options.multiArgs) {
+        return values;
+    }
+
+    return values[0];
+}
+
+
+/**
+ * Wraps a node-style callback function and instead returns a Promise.
+ *
+ * Normally the promise is resolved with the first value after the error.
+ * These properties in `options` change that behavior.
+ *
+ *   multiArgs: Resolve with an array of every value after the error
+ *   names: Resolve with an object, using these names for the values
+ *   rejectFalsy: Reject when the error is anything except null or undefined
+ *
+ * When the function has a `util.promisify.custom` property and no options
+ * are passed, that is returned instead. The `context` is not applied to
+ * that function, which matches `util.promisify()`. The wrapper keeps the
+ * name and length of the original function and sets
+ * `util.promisify.custom` to itself, so `util.promisify()` will return
+ * the same wrapper.
+ *
+ * @param {function} fn
+ * @param {Object} [context]
+ * @param {Object} [options]
+ * @return {function}
+ */
+function promisify(fn, context, options) {
+    var wrapper;
+
+    if (typeof fn[promisifyCustom] === "function" && !options) {
+        return fn[promisifyCustom];
+    }
+
+    // typeof null === "object", but that's ok in this instance
+    if (typeof context !== "object") {
+        context = null;
+    }
+
+    options = options || {};
+    wrapper = function () {
+        var args;
+
+        args = [].slice.call(arguments);
+
+        return exportedObject.newPromise((resolve, reject) => {
+            args.push(function (err) {
+                var isError;
+
+                if (options.rejectFalsy) {
+                    isError = err !== null && typeof err !== "undefined";
+                } else {
+                    isError = Boolean(err);
+                }
+
+                if (isError) {
+                    reject(err);
+                } else {
+                    resolve(callbackResolution([].slice.call(arguments, 1), options));
+                }
+            });
+            fn.apply(context, args);
+        });
+    };
+    Object.defineProperty(wrapper, "name", {
+        configurable: true,
+        value: fn.name
+    });
+    Object.defineProperty(wrapper, "length", {
+        configurable: true,
+        value: fn.length
+    });
+    Object.defineProperty(wrapper, promisifyCustom, {
+        configurable: true,
+        value: wrapper
+    });
+
+    return wrapper;
+}
+
+
+/**
+ * Determines if a property found by `promisifyAll()` should be promisified.
+ *
+ * @param {(Object|function)} obj The object being promisified
+ * @param {(Object|function)} level Where the property is defined
+ * @param {string} name
+ * @param {string} suffix
+ * @return {boolean}
+ */
+function canPromisify(obj, level, name, suffix) {
+    var desc;
+
+    if (name === "constructor") {
+        return false;
+    }
+
+    desc = Object.getOwnPropertyDescriptor(level, name);
+
+    if (!desc || desc.get || desc.set) {
+        return false;
+    }
+
+    if (typeof desc.value !== "function") {
+        return false;
+    }
+
+    if (name.slice(-suffix.length) === suffix) {
+        return false;
+    }
+
+    if (`${name}${suffix}` in obj) {
+        return false;
+    }
+
+    return true;
+}
+
+
+/**
+ * Runs `promisify()` on all properties of an object, saving the promisified
+ * version of the method with "Async" appended. Inherited methods are also
+ * promisified. The prototype chain is followed until it reaches
+ * Object.prototype or Function.prototype.
+ *
+ * If the object already has the ...Async property defined, this does not
+ * overwrite. In this way it does not double-promisify any methods. Also,
+ * nothing is promisified if it ends in Async.
+ *
+ * These properties in `options` change the behavior.
+ *
+ *   suffix: Use this instead of "Async"
+ *   filter: function(name, fn, obj) that returns false to skip a method
+ *   promisifier: function(fn, obj) used instead of `promisify()`
+ *
+ * @param {(Object|function)} obj
+ * @param {Object} [options]
+ * @return {Object}
+ */
+function promisifyAll(obj, options) {
+    var chain, level, names, promisifier, seen, suffix;
+
+    options = options || {};
+    suffix = options.suffix || "Async";
+    promisifier = options.promisifier || promisify;
+    chain = [];
+
+    for (level = obj; level && level !== Object.prototype && level !== Function.prototype; level = Object.getPrototypeOf(level)) {
+        chain.push(level);
+    }
+
+    names = [];
+    seen = {};
+    chain.forEach((chainLevel) => {
+        Object.getOwnPropertyNames(chainLevel).forEach((name) => {
+            if (!Object.prototype.hasOwnProperty.call(seen, name)) {
+                seen[name] = true;
+
+                if (canPromisify(obj, chainLevel, name, suffix)) {
+                    names.push(name);
+                }
+            }
+        });
+    });
+    names.filter((name) => {
+        return !options.filter || options.filter(name, obj[name], obj);
+    }).forEach((name) => {
+        obj[`${name}${suffix}`] = promisifier(obj[name], obj);
+    });
+
+    return obj;
+}
+
+
+/**
+ * Resolve every promise in a structure of nested arrays and plain objects.
+ * The returned promise is resolved with a copy of the structure that has
+ * the resolution values in place of the promises.
+ *
+ * If any promise is rejected, this fails fast and bails with the first
+ * rejection. Circular structures are rejected with a TypeError.
+ *
+ * @param {*} value
+ * @return {Promise.<*>}
+ */
+function props(value) {
+    return resolveDeep(value);
+}
+
+
+/**
+ * The rejection from `settle()` when the `settleError` option is used.
+ * The `errors` property has the rejections and `results` has the values
+ * of everything else, both preserving keys.
+ */
+class SettleError extends Error {
+    /**
+     * Creates the error with a message that summarizes what failed.
+     *
+     * @param {morePromises~list} errors
+     * @param {morePromises~list} results
+     */
+    constructor(errors, results) {
+        var failed, total;
+
+        failed = 0;
+        iterate(errors, () => {
+            failed += 1;
+        });
+        total = failed;
+        iterate(results, () => {
+            total += 1;
+        });
+        super(`${failed} of ${total} items in the list were rejected`);
+        this.name = "SettleError";
+        this.errors = errors;
+        this.results = results;
+    }
+}
+
+
+/**
+ * Resolve all of the promises. When all of the promises are resolved, the
+ * returned promise is resolved with a list, preserving keys, with the
+ * resolved values.
+ *
+ * If any promise is rejected, the rejections are collected and the returned
+ * promise is rejected with that collection. Original indices of the list
+ * are preserved.
+ *
+ * If the `sparse` property in the `options` parameter is set to true, the
+ * returned list won't have its original indices preserved. Instead, the
+ * undefined indices will be removed.
+ *
+ * When the `settleError` property in `options` is set, the returned promise
+ * is instead rejected with a SettleError. It has the rejections and the
+ * values of everything that was fulfilled.
+ *
+ * When the `partial` property in `options` is set, the returned promise is
+ * never rejected. It is resolved with an object that has `fulfilled` and
+ * `rejected` lists, preserving keys. Arrays in both lists are condensed
+ * unless the `sparse` option is set.
+ *
+ * The `signal` and `abortOnSettle` options work the same as in `all()`,
+ * except aborting does not reject the returned promise. The aborted tasks
+ * are still waited upon. The `onSettled`, `onProgress`, `itemTimeout` and
+ * `timeout` options also work the same as in `all()`. Items that time out
+ * are included in the rejections.
+ *
+ * @param {morePromises~list} list
+ * @param {Object} [options]
+ * @return {Promise.<morePromises~list>}
+ */
+function settle(list, options) {
+    options = options || {};
+
+    if (isAsyncIterable(list)) {
+        return collectAsyncIterable(list).then((items) => {
+            return settle(items, options);
+        });
+    }
+
+    list = normalizeList(list);
+
+    return exportedObject.newPromise((resolve, reject) => {
+        var aborter, isFailure, needed, rejections, report, result, timers;
+
+        /**
+         * Send the result if we need nothing else.
+         */
+        function isSettleDone() {
+            needed -= 1;
+
+            if (!needed) {
+                timers.clear();
+
+                if (aborter) {
+                    aborter.done();
+                }
+
+                if (options.partial) {
+                    resolve({
+                        fulfilled: condenseList(result, options),
+                        rejected: condenseList(rejections, options)
+                    });
+                } else if (!isFailure) {
+                    resolve(result);
+                } else if (options.settleError) {
+                    reject(new SettleError(condenseList(rejections, options), condenseList(result, options)));
+                } else {
+                    reject(condenseList(rejections, options));
+                }
+            }
+        }
+
+        aborter = makeTaskAborter(options, () => {});
+        isFailure = false;
+        report = makeProgressReporter(list, options);
+        result = makeSimilarList(list);
+        rejections = makeSimilarList(list);
+        timers = makeItemTimers(options);
+        needed = 1;
+        iterate(list, (value, key) => {
+            var then;
+
+            value = startTask(value, aborter);
+            then = timers.wrap(getThen(value));
+
+            if (then) {
+                needed += 1;
+                then((resolution) => {
+                    setItem(result, key, resolution);
+                    isSettleDone();
+                    report(key, "fulfilled", resolution);
+                }, (rejection) => {
+                    isFailure = true;
+                    setItem(rejections, key, rejection);
+                    isSettleDone();
+                    report(key, "rejected", rejection);
+                });
+            } else {
+                setItem(result, key, value);
+                report(key, "not-promise", value);
+            }
+        });
+        isSettleDone();
+    });
+}
+
+
+/**
+ * Resolve once `count` promises in the list are fulfilled. The returned
+ * promise is resolved with a list, preserving keys, of only those values.
+ * Non-promise values are already fulfilled.
+ *
+ * When so many promises are rejected that `count` can not be reached, the
+ * returned promise is rejected with a list of the rejections, preserving
+ * keys. Arrays are condensed for both lists unless the `sparse` property
+ * in `options` is set to true, just like `settle()`.
+ *
+ * @param {morePromises~list} list
+ * @param {number} count
+ * @param {Object} [options]
+ * @return {Promise.<morePromises~list>}
+ */
+function some(list, count, options) {
+    return waitForFulfilled(list, count, options || {});
+}
+
+
+/**
+ * Resolve or reject based on the first promise that is settled. Ignore
+ * all of the slower promises.
+ *
+ * The `signal` and `abortOnSettle` options work the same as in `all()`.
+ * With `abortOnSettle`, the losing tasks are aborted once there is a winner.
+ *
+ * @param {morePromises~list} list
+ * @param {Object} [options]
+ * @return {Promise.<morePromises~list>}
+ */
+function race(list, options) {
+    options = options || {};
+
+    if (isAsyncIterable(list)) {
+        return collectAsyncIterable(list).then((items) => {
+            return race(items, options);
+        });
+    }
+
+    return exportedObject.newPromise((resolve, reject) => {
+        var aborter, isDone, otherPromises;
+
+        /**
+         * Send the result if this is the first result.
+         *
+         * @param {function} resolveOrReject
+         * @param {*} value
+         */
+        function wasSettled(resolveOrReject, value) {
+            if (!isDone) {
+                isDone = true;
+
+                if (aborter) {
+                    aborter.done();
+                }
+
+                resolveOrReject(value);
+            }
+        }
+
+        if (options.signal && options.signal.aborted) {
+            reject(makeAbortError());
+
+            return;
+        }
+
+        isDone = false;
+        aborter = makeTaskAborter(options, () => {
+            wasSettled(reject, makeAbortError());
+        });
+        otherPromises = false;
+        iterate(list, (value) => {
+            var then;
+
+            otherPromises = true;
+            value = startTask(value, aborter);
+            then = getThen(value);
+
+            if (then) {
+                then((resolution) => {
+                    wasSettled(resolve, resolution);
+                }, (rejection) => {
+                    wasSettled(reject, rejection);
+                });
+            } else {
+                wasSettled(resolve, value);
+            }
+        });
+
+        if (!otherPromises) {
+            wasSettled(resolve);
+        }
+    });
+}
+
+
+/**
+ * Resolve all of the promises. When all of the promises are resolved or
+ * rejected, the returned promise is resolved with a list, preserving keys,
+ * with value objects that resemble this:
+ *
+ *   {
+ *       state: "fulfilled" // or "rejected"
+ *       value: ... // The resolution or rejection value
+ *   }
+ *
+ * If the original value was not a promise, it instead will look like this:
+ *
+ *   {
+ *       state: "not-promise"
+ *       value: ... // The original value
+ *   }
+ *
+ *
+ * The returned promise is never rejected.
+ *
+ * The `signal`, `abortOnSettle`, `onSettled`, `onProgress`, `itemTimeout`
+ * and `timeout` options work the same as in `settle()`. Items that time out
+ * have a state of "timeout" instead of "rejected" and the value is the
+ * timeout's rejection.
+ *
+ * @param {morePromises~list} list
+ * @param {Object} [options]
+ * @return {Promise.<morePromises~list>}
+ */
+function reflect(list, options) {
+    options = options || {};
+
+    if (isAsyncIterable(list)) {
+        return collectAsyncIterable(list).then((items) => {
+            return reflect(items, options);
+        });
+    }
+
+    list = normalizeList(list);
+
+    return exportedObject.newPromise((resolve) => {
+        var aborter, needed, report, result, timers;
+
+        /**
+         * Send the result.
+         */
+        function finish() {
+            timers.clear();
+
+            if (aborter) {
+                aborter.done();
+            }
+
+            resolve(result);
+        }
+
+        /**
+         * Store the result of the promise.  Send the result if we need
+         * nothing else.
+         *
+         * @param {*} key
+         * @param {string} state
+         * @param {*} value
+         */
+        function wasSettled(key, state, value) {
+            setItem(result, key, {
+                state,
+                value
+            });
+            needed -= 1;
+
+            if (!needed) {
+                finish();
+            }
+
+            report(key, state, value);
+        }
+
+        aborter = makeTaskAborter(options, () => {});
+        report = makeProgressReporter(list, options);
+        result = makeSimilarList(list);
+        timers = makeItemTimers(options);
+        needed = 1;
+        iterate(list, (value, key) => {
+            var then;
+
+            needed += 1;
+            value = startTask(value, aborter);
+            then = timers.wrap(getThen(value));
+
+            if (then) {
+                then((resolution) => {
+                    wasSettled(key, "fulfilled", resolution);
+                }, (rejection) => {
+                    if (timers.isTimeout(rejection)) {
+                        wasSettled(key, "timeout", rejection);
+                    } else {
+                        wasSettled(key, "rejected", rejection);
+                    }
+                });
+            } else {
+                wasSettled(key, "not-promise", value);
+            }
+        });
+
+        needed -= 1;
+
+        if (!needed) {
+            finish();
+        }
+    });
+}
+
+
+/**
+ * Wraps a function so it is called at most `limit` times within any
+ * `interval` milliseconds. Calls beyond that are queued and made once the
+ * rate allows. The wrapper always returns a promise for the result.
+ *
+ * When the `signal` property in `options` is aborted, queued calls are
+ * dropped and their promises are rejected with an AbortError, as are any
+ * later calls.
+ *
+ * A TypeError is thrown when `limit` is not at least 1 or when `interval`
+ * is not a number of milliseconds.
+ *
+ * @param {function} fn
+ * @param {Object} options
+ * @return {function}
+ */
+function throttle(fn, options) {
+    var isWaiting, queued, starts, wrapper;
+
+    /**
+     * Makes the queued calls that fit within the rate, then waits until
+     * the oldest call leaves the interval.
+     */
+    function release() {
+        var call, now;
+
+        now = Date.now();
+        starts = starts.filter((start) => {
+            return start > now - options.interval;
+        });
+
+        while (queued.length && starts.length < options.limit) {
+            call = queued.shift();
+            starts.push(now);
+
+            try {
+                call.resolve(fn.apply(call.context, call.args));
+            } catch (err) {
+                call.reject(err);
+            }
+        }
+
+        if (queued.length && !isWaiting) {
+            isWaiting = true;
+            delay(starts[0] + options.interval - now, {
+                signal: options.signal
+            }).then(() => {
+                isWaiting = false;
+                release();
+            }, () => {
+                isWaiting = false;
+            });
+        }
+    }
+
+    options = options || {};
+
+    if (!(options.limit >= 1)) {
+        throw new TypeError("The limit option must be a number of at least 1");
+    }
+
+    if (!(options.interval >= 0)) {
+        throw new TypeError("The interval option must be a number of milliseconds");
+    }
+
+    isWaiting = false;
+    queued = [];
+    starts = [];
+    listenForAbort(options.signal, () => {
+        queued.splice(0).forEach((call) => {
+            call.reject(makeAbortError());
+        });
+    });
+
+    /**
+     * Queues a call and makes it once the rate allows.
+     *
+     * @this {Object}
+     * @return {Promise.<*>}
+     */
+    wrapper = function () {
+        var args;
+
+        args = [].slice.call(arguments);
+
+        return exportedObject.newPromise((resolve, reject) => {
+            if (options.signal && options.signal.aborted) {
+                reject(makeAbortError());
+
+                return;
+            }
+
+            queued.push({
+                args,
+                context: this,
+                reject,
+                resolve
+            });
+            release();
+        });
+    };
+
+    return wrapper;
+}
+
+
+/**
+ * Creates a promise that is resolved or rejected by the original promise.
+ * However, a timer is also started and the timer can reject the promise
+ * early if the time elapses. The timer is cleared once the returned
+ * promise is settled.
+ *
+ * When the `signal` property in `options` is aborted, the returned promise
+ * is rejected with an AbortError.
+ *
+ * @param {Promise} promise
+ * @param {number} ms
+ * @param {*} [timeoutRejection=Error(`Timeout after ${ms} milliseconds`)]
+ * @param {Object} [options]
+ * @return {Promise}
+ */
+function timeout(promise, ms, timeoutRejection, options) {
+    if (!timeoutRejection) {
+        timeoutRejection = new Error(`Timeout after ${ms} milliseconds`);
+    }
+
+    options = options || {};
+
+    return exportedObject.newPromise((resolve, reject) => {
+        var settled, stopListening, timer;
+
+        /**
+         * Guards resolve/reject so the outgoing promise is only
+         * resolved or rejected once.
+         *
+         * @param {function} fn resolve or reject
+         * @param {*} value
+         */
+        function settleTimeout(fn, value) {
+            if (!settled) {
+                settled = true;
+                clearTimeout(timer);
+                stopListening();
+                fn(value);
+            }
+        }
+
+        settled = false;
+        timer = setTimeout(() => {
+            settleTimeout(reject, timeoutRejection);
+        }, ms);
+        stopListening = listenForAbort(options.signal, () => {
+            settleTimeout(reject, makeAbortError());
+        });
+
+        if (options.signal && options.signal.aborted) {
+            settleTimeout(reject, makeAbortError());
+        }
+
+        promise.then((resolution) => {
+            settleTimeout(resolve, resolution);
+        }, (rejection) => {
+            settleTimeout(reject, rejection);
+        });
+    });
+}
+
+
+/**
+ * Determine how long to wait before the next attempt of `retry()`.
+ *
+ * @param {Object} options
+ * @param {number} attempt The attempt that just failed, starting at 1
+ * @return {number}
+ */
+function getRetryDelay(options, attempt) {
+    var ms;
+
+    ms = options.delay || 0;
+
+    if (options.backoff === "exponential") {
+        ms *= Math.pow(options.factor || 2, attempt - 1);
+    }
+
+    if (options.maxDelay && ms > options.maxDelay) {
+        ms = options.maxDelay;
+    }
+
+    if (options.jitter) {
+        ms -= ms * options.jitter * Math.random();
+    }
+
+    return ms;
+}
+
+
+/**
+ * Calls a function that returns a promise. When that promise is rejected,
+ * the function is called again after a delay. The function is passed the
+ * attempt number, starting at 1.
+ *
+ * These properties are used from `options`:
+ *
+ *   attempts: Maximum number of calls, defaults to 3
+ *   delay: Milliseconds to wait after the first failure, defaults to 0
+ *   backoff: "fixed" (the default) or "exponential"
+ *   factor: Multiplier for exponential backoff, defaults to 2
+ *   maxDelay: Upper limit for the time between attempts
+ *   jitter: Fraction of the delay, 0 to 1, that is randomly removed
+ *   maxTime: Reject when the total time exceeds this many milliseconds
+ *   shouldRetry: function(err, attempt) that returns false to give up
+ *
+ * When giving up, the returned promise is rejected with an Error that has
+ * an `errors` property, which is an array of every attempt's rejection.
+ * When `shouldRetry` throws, the promise is rejected with that error.
+ *
+ * @param {function} fn
+ * @param {Object} [options]
+ * @return {Promise.<*>}
+ */
+function retry(fn, options) {
+    var attempts, controller, errors, isDone, promise, result, timeoutRejection;
+
+    options = options || {};
+    attempts = options.attempts || 3;
+    controller = makeAbortController();
+    errors = [];
+    isDone = false;
+    promise = exportedObject.newPromise((resolve, reject) => {
+        /**
+         * Call the function and retry when it fails.
+         *
+         * @param {number} attempt
+         */
+        function tryAgain(attempt) {
+            exportedObject.newPromise((resolveAttempt) => {
+                resolveAttempt(fn(attempt));
+            }).then((resolution) => {
+                isDone = true;
+                resolve(resolution);
+            }, (rejection) => {
+                var err, willRetry;
+
+                if (isDone) {
+                    return;
+                }
+
+                errors.push(rejection);
+
+                try {
+                    willRetry = attempt < attempts && (!options.shouldRetry || options.shouldRetry(rejection, attempt));
+                } catch (shouldRetryErr) {
+                    isDone = true;
+                    reject(shouldRetryErr);
+
+                    return;
+                }
+
+                if (!willRetry) {
+                    isDone = true;
+                    err = new Error(`Failed after ${attempt} attempts`);
+                    err.errors = errors;
+                    reject(err);
+
+                    return;
+                }
+
+                delay(getRetryDelay(options, attempt), {
+                    signal: controller.signal
+                }).then(() => {
+                    if (!isDone) {
+                        tryAgain(attempt + 1);
+                    }
+                }, () => {});
+            });
+        }
+
+        tryAgain(1);
+    });
+
+    if (!options.maxTime) {
+        return promise;
+    }
+
+    timeoutRejection = new Error(`Timeout after ${options.maxTime} milliseconds`);
+    timeoutRejection.errors = errors;
+    result = timeout(promise, options.maxTime, timeoutRejection);
+    result.then(null, () => {
+        isDone = true;
+        controller.abort();
+    });
+
+    return result;
+}
+
+
+/**
+ * Runs functions that return promises while limiting how many are running
+ * at once. Jobs with a higher priority are started first and jobs with the
+ * same priority are started in the order they were added.
+ *
+ * These properties are used from `options`:
+ *
+ *   concurrency: Maximum number of running jobs, defaults to Infinity
+ *   timeout: Milliseconds that each job may take before it is rejected
+ *   paused: When true, no jobs are started until `resume()` is called
+ */
+class Queue {
+    /**
+     * Creates an empty queue.
+     *
+     * @param {Object} [options]
+     */
+    constructor(options) {
+        options = options || {};
+        this.concurrency = options.concurrency || Infinity;
+        this.emptyListeners = [];
+        this.idleListeners = [];
+        this.isPaused = Boolean(options.paused);
+        this.jobs = [];
+        this.pending = 0;
+        this.timeout = options.timeout;
+    }
+
+
+    /**
+     * Number of jobs that are waiting to be started.
+     *
+     * @return {number}
+     */
+    get size() {
+        return this.jobs.length;
+    }
+
+
+    /**
+     * Adds a job to the queue. The returned promise is settled with the
+     * result of the job. The `priority` and `timeout` properties of
+     * `options` apply only to this job.
+     *
+     * When a job times out, the returned promise is rejected and the next
+     * job is started even though the function may still be running.
+     *
+     * @param {function} fn
+     * @param {Object} [options]
+     * @return {Promise.<*>}
+     */
+    add(fn, options) {
+        options = options || {};
+
+        return exportedObject.newPromise((resolve, reject) => {
+            var index, job;
+
+            job = {
+                fn,
+                priority: options.priority || 0,
+                reject,
+                resolve,
+                timeout: options.timeout || this.timeout
+            };
+            index = this.jobs.findIndex((waiting) => {
+                return waiting.priority < job.priority;
+            });
+
+            if (index === -1) {
+                this.jobs.push(job);
+            } else {
+                this.jobs.splice(index, 0, job);
+            }
+
+            this.next();
+        });
+    }
+
+
+    /**
+     * Starts as many jobs as allowed and tells the listeners when the
+     * queue is empty or idle.
+     */
+    next() {
+        while (!this.isPaused && this.pending < this.concurrency && this.jobs.length) {
+            this.start(this.jobs.shift());
+        }
+
+        if (!this.jobs.length) {
+            this.emptyListeners.splice(0).forEach((listener) => {
+                listener();
+            });
+
+            if (!this.pending) {
+                this.idleListeners.splice(0).forEach((listener) => {
+                    listener();
+                });
+            }
+        }
+    }
+
+
+    /**
+     * Returns a promise that is resolved once there are no jobs waiting
+     * to be started. Jobs may still be running.
+     *
+     * @return {Promise}
+     */
+    onEmpty() {
+        return exportedObject.newPromise((resolve) => {
+            this.emptyListeners.push(resolve);
+            this.next();
+        });
+    }
+
+
+    /**
+     * Returns a promise that is resolved once there are no jobs waiting
+     * and no jobs running.
+     *
+     * @return {Promise}
+     */
+    onIdle() {
+        return exportedObject.newPromise((resolve) => {
+            this.idleListeners.push(resolve);
+            this.next();
+        });
+    }
+
+
+    /**
+     * Stops starting new jobs. Running jobs are not affected.
+     */
+    pause() {
+        this.isPaused = true;
+    }
+
+
+    /**
+     * Starts jobs again after `pause()`.
+     */
+    resume() {
+        this.isPaused = false;
+        this.next();
+    }
+
+
+    /**
+     * Runs a single job and starts the next one when it is done.
+     *
+     * @param {Object} job
+     */
+    start(job) {
+        var promise;
+
+        this.pending += 1;
+        promise = exportedObject.newPromise((resolve) => {
+            resolve(job.fn());
+        });
+
+        if (job.timeout) {
+            promise = timeout(promise, job.timeout);
+        }
+
         promise.then((resolution) => {
-            settleTimeout(resolve, resolution);
+            this.pending -= 1;
+            job.resolve(resolution);
+            this.next();
         }, (rejection) => {
-            settleTimeout(reject, rejection);
+            this.pending -= 1;
+            job.reject(rejection);
+            this.next();
         });
-        setTimeout(() => {
-            settleTimeout(reject, timeoutRejection);
-        }, ms);
+    }
+}
+
+
+/**
+ * The rejection used by a circuit breaker when calls are not allowed.
+ */
+class CircuitOpenError extends Error {
+    /**
+     * Creates the error.
+     */
+    constructor() {
+        super("Circuit breaker is open");
+        this.name = "CircuitOpenError";
+    }
+}
+
+
+/**
+ * Wraps a function that returns a promise so failing calls stop being made
+ * for a while. The wrapper starts in the "closed" state and passes every
+ * call through. After too many failures in a row it goes to the "open"
+ * state, where calls are rejected with a CircuitOpenError without calling
+ * the function. Once `resetTimeout` has elapsed, the next calls are trials
+ * in the "half-open" state. A successful trial closes the circuit and a
+ * failed trial opens it again.
+ *
+ * These properties are used from `options`:
+ *
+ *   failureThreshold: Failures in a row that open the circuit, defaults to 5
+ *   resetTimeout: Milliseconds to stay open, defaults to 60000
+ *   halfOpenMax: Trial calls allowed at once when half-open, defaults to 1
+ *   timeout: Milliseconds a call may take before it counts as a failure
+ *   onStateChange: function(state, previousState) called on every change
+ *
+ * The wrapper has a `state` property and a `stats` property, which is an
+ * object with counts of `calls`, `successes`, `failures` and
+ * `shortCircuits` (calls rejected without calling the function).
+ *
+ * @param {function} fn
+ * @param {Object} [options]
+ * @return {function}
+ */
+function circuitBreaker(fn, options) {
+    var failures, openedAt, trials, wrapper;
+
+    /**
+     * Changes the state and tells the listener. Errors thrown by the
+     * listener are thrown again asynchronously so the breaker keeps
+     * working.
+     *
+     * @param {string} state
+     */
+    function setState(state) {
+        var previous;
+
+        previous = wrapper.state;
+
+        if (state !== previous) {
+            wrapper.state = state;
+
+            try {
+                if (options.onStateChange) {
+                    options.onStateChange(state, previous);
+                }
+            } catch (err) {
+                process.nextTick(() => {
+                    throw err;
+                });
+            }
+        }
+    }
+
+    /**
+     * Moves from "open" to "half-open" once the reset timeout elapsed.
+     */
+    function checkReset() {
+        if (wrapper.state === "open" && Date.now() - openedAt >= (options.resetTimeout || 60000)) {
+            setState("half-open");
+        }
+    }
+
+    /**
+     * Records a successful call.
+     */
+    function succeeded() {
+        wrapper.stats.successes += 1;
+
+        if (wrapper.state !== "open") {
+            failures = 0;
+            setState("closed");
+        }
+    }
+
+    /**
+     * Records a failed call and opens the circuit when needed.
+     */
+    function failed() {
+        failures += 1;
+        wrapper.stats.failures += 1;
+
+        if (wrapper.state === "half-open" || wrapper.state === "closed" && failures >= (options.failureThreshold || 5)) {
+            openedAt = Date.now();
+            setState("open");
+        }
+    }
+
+    options = options || {};
+    failures = 0;
+    trials = 0;
+
+    /**
+     * Calls the function unless the circuit is open.
+     *
+     * @this {Object}
+     * @return {Promise.<*>}
+     */
+    wrapper = function () {
+        var args, isTrial, promise;
+
+        args = [].slice.call(arguments);
+        wrapper.stats.calls += 1;
+        checkReset();
+        isTrial = wrapper.state === "half-open";
+
+        if (wrapper.state === "open" || isTrial && trials >= (options.halfOpenMax || 1)) {
+            wrapper.stats.shortCircuits += 1;
+
+            return exportedObject.newPromise((resolve, reject) => {
+                reject(new CircuitOpenError());
+            });
+        }
+
+        if (isTrial) {
+            trials += 1;
+        }
+
+        promise = exportedObject.newPromise((resolve) => {
+            resolve(fn.apply(this, args));
+        });
+
+        if (options.timeout) {
+            promise = timeout(promise, options.timeout);
+        }
+
+        promise.then(() => {
+            if (isTrial) {
+                trials -= 1;
+            }
+
+            succeeded();
+        }, () => {
+            if (isTrial) {
+                trials -= 1;
+            }
+
+            failed();
+        });
+
+        return promise;
+    };
+    wrapper.state = "closed";
+    wrapper.stats = {
+        calls: 0,
+        failures: 0,
+        shortCircuits: 0,
+        successes: 0
+    };
+
+    return wrapper;
+}
+
+
+/**
+ * Keeps track of listeners added to an event emitter so they can all be
+ * removed later. Returns an object with `listen(name, fn)` and
+ * `removeAll()` functions.
+ *
+ * @param {EventEmitter} emitter
+ * @return {Object}
+ */
+function trackListeners(emitter) {
+    var listeners;
+
+    listeners = [];
+
+    return {
+        listen: (name, fn) => {
+            emitter.on(name, fn);
+            listeners.push({
+                fn,
+                name
+            });
+        },
+        removeAll: () => {
+            listeners.splice(0).forEach((listener) => {
+                emitter.removeListener(listener.name, listener.fn);
+            });
+        }
+    };
+}
+
+
+/**
+ * Waits for an event emitter to emit an event. The returned promise is
+ * resolved with the first argument of the event, or with an array of all
+ * arguments when the `multiArgs` property in `options` is set. All
+ * listeners are removed once the promise is settled.
+ *
+ * These properties are used from `options`:
+ *
+ *   rejectOn: Names of events that reject the promise, defaults to ["error"]
+ *   timeout: Milliseconds to wait before rejecting
+ *   filter: function(...args) that returns false to ignore an event,
+ *     rejects with the error when it throws
+ *   multiArgs: When true, resolve with an array of the event's arguments
+ *
+ * @param {EventEmitter} emitter
+ * @param {string} eventName
+ * @param {Object} [options]
+ * @return {Promise.<*>}
+ */
+function fromEvent(emitter, eventName, options) {
+    options = options || {};
+
+    return exportedObject.newPromise((resolve, reject) => {
+        var listeners, timer;
+
+        /**
+         * Removes the listeners and the timer.
+         */
+        function cleanUp() {
+            clearTimeout(timer);
+            listeners.removeAll();
+        }
+
+        /**
+         * Rejects with the event's first argument.
+         *
+         * @param {*} err
+         */
+        function onReject(err) {
+            cleanUp();
+            reject(err);
+        }
+
+        /**
+         * Resolves with the event when it passes the filter. Rejects when
+         * the filter throws.
+         */
+        function onEvent() {
+            var args, isMatch;
+
+            args = [].slice.call(arguments);
+
+            try {
+                isMatch = !options.filter || options.filter.apply(null, args);
+            } catch (err) {
+                onReject(err);
+
+                return;
+            }
+
+            if (!isMatch) {
+                return;
+            }
+
+            cleanUp();
+
+            if (options.multiArgs) {
+                resolve(args);
+            } else {
+                resolve(args[0]);
+            }
+        }
+
+        listeners = trackListeners(emitter);
+        listeners.listen(eventName, onEvent);
+        (options.rejectOn || [
+            "error"
+        ]).forEach((name) => {
+            listeners.listen(name, onReject);
+        });
+
+        if (options.timeout) {
+            timer = setTimeout(() => {
+                onReject(new Error(`Timeout after ${options.timeout} milliseconds`));
+            }, options.timeout);
+        }
+    });
+}
+
+
+/**
+ * Determines if a stream has already ended or finished. Versions of Node
+ * before 12.9 only track this in the internal state of the stream.
+ *
+ * @param {Stream} stream
+ * @return {boolean}
+ */
+function hasStreamEnded(stream) {
+    var readableState, writableState;
+
+    if (stream.readableEnded || stream.writableFinished) {
+        return true;
+    }
+
+    // Node before 12.9 has no readableEnded or writableFinished.
+    // eslint-disable-next-line no-underscore-dangle
+    readableState = stream._readableState || {};
+    // eslint-disable-next-line no-underscore-dangle
+    writableState = stream._writableState || {};
+
+    return Boolean(readableState.endEmitted || writableState.finished);
+}
+
+
+/**
+ * Finds the error that destroyed a stream. When there is none, this
+ * returns an Error saying the stream closed early.
+ *
+ * @param {Stream} stream
+ * @return {Error}
+ */
+function getStreamError(stream) {
+    var err, readableState, writableState;
+
+    // Node 14 to 17 only keep the error in the internal state.
+    // eslint-disable-next-line no-underscore-dangle
+    readableState = stream._readableState || {};
+    // eslint-disable-next-line no-underscore-dangle
+    writableState = stream._writableState || {};
+    err = stream.errored || readableState.errored || writableState.errored;
+
+    if (err && typeof err === "object") {
+        return err;
+    }
+
+    return new Error("The stream was closed before it ended");
+}
+
+
+/**
+ * Waits for a stream to emit "end" or "finish" and resolves. The returned
+ * promise is rejected when the stream emits "error", or emits "close"
+ * before it ended. Listeners are removed once the promise is settled.
+ * Streams that already ended or finished resolve right away and streams
+ * that were already destroyed are rejected right away.
+ *
+ * When the `collect` property in `options` is set, every "data" chunk is
+ * collected and the promise is resolved with an array of the chunks.
+ * Listening for "data" also starts the flow of a readable stream.
+ *
+ * @param {Stream} stream
+ * @param {Object} [options]
+ * @return {Promise.<(Array|undefined)>}
+ */
+function streamToPromise(stream, options) {
+    options = options || {};
+
+    return exportedObject.newPromise((resolve, reject) => {
+        var chunks, listeners;
+
+        /**
+         * Collects a chunk.
+         *
+         * @param {*} chunk
+         */
+        function onData(chunk) {
+            chunks.push(chunk);
+        }
+
+        /**
+         * Resolves with the collected chunks, if any.
+         */
+        function onEnd() {
+            listeners.removeAll();
+
+            if (options.collect) {
+                resolve(chunks);
+            } else {
+                resolve();
+            }
+        }
+
+        /**
+         * Rejects with the stream's error.
+         *
+         * @param {*} err
+         */
+        function onError(err) {
+            listeners.removeAll();
+            reject(err);
+        }
+
+        chunks = [];
+        listeners = trackListeners(stream);
+
+        if (hasStreamEnded(stream)) {
+            onEnd();
+
+            return;
+        }
+
+        if (stream.destroyed) {
+            onError(getStreamError(stream));
+
+            return;
+        }
+
+        if (options.collect) {
+            listeners.listen("data", onData);
+        }
+
+        listeners.listen("close", () => {
+            if (hasStreamEnded(stream)) {
+                onEnd();
+            } else {
+                onError(getStreamError(stream));
+            }
+        });
+        listeners.listen("end", onEnd);
+        listeners.listen("error", onError);
+        listeners.listen("finish", onEnd);
     });
 }
 
 
 module.exports = exportedObject = {
     all,
+    any,
     callbackify,
+    circuitBreaker,
+    CircuitOpenError,
+    debounce,
+    defer,
     delay,
+    each,
+    filter,
+    fromEvent,
+    map,
+    mapReflect,
+    mapSettle,
+    memoize,
     newPromise,
+    partition,
     promisify,
     promisifyAll,
+    props,
+    Queue,
     settle,
+    SettleError,
     race,
+    reduce,
     reflect,
-    timeout
+    retry,
+    series,
+    some,
+    streamToPromise,
+    throttle,
+    timeout,
+    waterfall
 };
@@ -1,5 +1,11 @@
 "use strict";
 
+var EventEmitter, stream, util;
+
+EventEmitter = require("events");
+stream = require("stream");
+util = require("util");
+
 describe("lib/index.js", () => {
     var morePromises, timer;
 
@@ -25,6 +31,114 @@ describe("lib/index.js", () => {
     }
 
 
+    /**
+     * Create a task for lists that support aborting. The task keeps the
+     * signal it was given and rejects with "aborted" when the signal is
+     * aborted.
+     *
+     * @param {number} ms
+     * @param {*} result
+     * @param {boolean} [isFailure=false]
+     * @return {function}
+     */
+    function abortableTask(ms, result, isFailure) {
+        /**
+         * The task itself.
+         *
+         * @param {Object} signal
+         * @return {Promise}
+         */
+        function task(signal) {
+            task.signal = signal;
+
+            return new Promise((resolve, reject) => {
+                signal.addEventListener("abort", () => {
+                    reject("aborted");
+                });
+                delayedPromise(ms, result, isFailure).then(resolve, reject);
+            });
+        }
+
+        return task;
+    }
+
+
+    /**
+     * Create an async iterable that provides the values.
+     *
+     * @param {Array} values
+     * @return {Object}
+     */
+    function makeAsyncIterable(values) {
+        return {
+            [Symbol.asyncIterator]: () => {
+                var position;
+
+                position = 0;
+
+                return {
+                    next: () => {
+                        position += 1;
+
+                        return delayedPromise(1, {
+                            done: position > values.length,
+                            value: values[position - 1]
+                        });
+                    }
+                };
+            }
+        };
+    }
+
+
+    /**
+     * Generator that yields each of the values, for testing iterables.
+     *
+     * @param {Array} values
+     */
+    function *makeGenerator(values) {
+        var i;
+
+        for (i = 0; i < values.length; i += 1) {
+            yield values[i];
+        }
+    }
+
+
+    /**
+     * Create a cancel token that works like an AbortSignal. Call `abort()`
+     * on the returned object to trigger the listeners.
+     *
+     * @return {Object}
+     */
+    function makeCancelToken() {
+        var token;
+
+        token = {
+            aborted: false,
+            abort: () => {
+                token.aborted = true;
+                token.listeners.slice().forEach((listener) => {
+                    listener();
+                });
+            },
+            addEventListener: (type, listener) => {
+                expect(type).toBe("abort");
+                token.listeners.push(listener);
+            },
+            listeners: [],
+            removeEventListener: (type, listener) => {
+                expect(type).toBe("abort");
+                token.listeners = token.listeners.filter((item) => {
+                    return item !== listener;
+                });
+            }
+        };
+
+        return token;
+    }
+
+
     /**
      * Get timer's elapsed time in milliseconds. This adds 1 to the time
      * in order to avoid rounding errors because Date objects are only accurate
@@ -49,6 +163,35 @@ describe("lib/index.js", () => {
     }
 
 
+    /**
+     * Records unhandled rejections. The returned function stops recording
+     * and returns the rejections that were seen.
+     *
+     * @return {function}
+     */
+    function trackUnhandledRejections() {
+        var rejections;
+
+        /**
+         * Record a rejection.
+         *
+         * @param {*} reason
+         */
+        function listener(reason) {
+            rejections.push(reason);
+        }
+
+        rejections = [];
+        process.on("unhandledRejection", listener);
+
+        return () => {
+            process.removeListener("unhandledRejection", listener);
+
+            return rejections;
+        };
+    }
+
+
     beforeEach(() => {
         morePromises = require("../..");
         timer = null;
@@ -85,368 +228,3393 @@ describe("lib/index.js", () => {
                 expect(result).toEqual([]);
             });
         });
-    });
-    describe("callbackify()", () => {
-        it("sends the resolved value", (done) => {
-            morePromises.callbackify(delayedPromise(10, "ok"), (err, value) => {
-                expect(err).toBe(null);
-                expect(value).toBe("ok");
-                done();
+        it("treats null, undefined and primitives as values", () => {
+            return morePromises.all([
+                null,
+                // eslint-disable-next-line no-undefined
+                undefined,
+                0,
+                false,
+                "text"
+            ]).then((result) => {
+                expect(result).toEqual([
+                    null,
+                    // eslint-disable-next-line no-undefined
+                    undefined,
+                    0,
+                    false,
+                    "text"
+                ]);
             });
         });
-        it("sends an error", (done) => {
-            morePromises.callbackify(delayedPromise(10, "fail", true), (err, value) => {
-                expect(err).toBe("fail");
-                expect(value).not.toBeDefined();
-                done();
+        it("reads then only once and uses the first callback", () => {
+            var reads, thenable;
+
+            reads = 0;
+            thenable = {};
+            Object.defineProperty(thenable, "then", {
+                get: () => {
+                    reads += 1;
+
+                    return (onFulfilled, onRejected) => {
+                        onFulfilled("first");
+                        onRejected("second");
+                        throw new Error("ignored");
+                    };
+                }
             });
-        });
-    });
-    describe("delay()", () => {
-        it("waits at least the necessary amount of time", () => {
-            startTimer();
 
-            return morePromises.delay(100).then(() => {
-                expect(elapsedTime()).not.toBeLessThan(100);
-                expect(elapsedTime()).toBeLessThan(500);
+            return morePromises.all([
+                thenable
+            ]).then((result) => {
+                expect(result).toEqual([
+                    "first"
+                ]);
+                expect(reads).toBe(1);
             });
         });
-        it("chains onto a promise", () => {
-            var promise;
+        it("rejects when reading then throws", () => {
+            var thenable;
 
-            promise = new Promise((resolve) => {
-                setTimeout(() => {
-                    startTimer();
-                    resolve("abc");
-                }, 100);
+            thenable = {};
+            Object.defineProperty(thenable, "then", {
+                get: () => {
+                    throw new Error("getter");
+                }
             });
 
-            return morePromises.delay(promise, 100).then((result) => {
-                expect(result).toBe("abc");
-                expect(elapsedTime()).not.toBeLessThan(100);
-                expect(elapsedTime()).toBeLessThan(500);
+            return morePromises.all([
+                thenable
+            ]).then(jasmine.fail, (rejection) => {
+                expect(rejection.message).toBe("getter");
             });
         });
-        it("rejects immediately", () => {
-            startTimer();
-
-            return morePromises.delay(Promise.reject("reason"), 100).then(jasmine.fail, (rejection) => {
-                expect(elapsedTime()).toBeLessThan(50);
-                expect(rejection).toBe("reason");
+        it("rejects when calling then throws", () => {
+            return morePromises.all({
+                thenable: {
+                    then: () => {
+                        throw new Error("then");
+                    }
+                }
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection.message).toBe("then");
             });
         });
-    });
-    describe("newPromise()", () => {
-        it("creates a Promise and calls a defined function", () => {
-            var promise, spy;
+        it("reports progress as each item is settled", () => {
+            var onProgress, onSettled;
 
-            spy = jasmine.createSpy("workFunction").and.callFake((resolve, reject) => {
-                expect(resolve).toEqual(jasmine.any(Function));
-                expect(reject).toEqual(jasmine.any(Function));
-                resolve(delayedPromise(10, "this worked"));
-            });
-            promise = morePromises.newPromise(spy);
-            expect(promise).toEqual(jasmine.any(Promise));
+            onProgress = jasmine.createSpy("onProgress");
+            onSettled = jasmine.createSpy("onSettled");
 
-            return promise.then((result) => {
-                expect(result).toBe("this worked");
+            return morePromises.all({
+                slow: delayedPromise(10, "slow"),
+                fast: delayedPromise(5, "fast"),
+                value: "value"
+            }, {
+                onProgress,
+                onSettled
+            }).then(() => {
+                expect(onSettled.calls.allArgs()).toEqual([
+                    [
+                        "value",
+                        "not-promise",
+                        "value"
+                    ],
+                    [
+                        "fast",
+                        "fulfilled",
+                        "fast"
+                    ],
+                    [
+                        "slow",
+                        "fulfilled",
+                        "slow"
+                    ]
+                ]);
+                expect(onProgress.calls.allArgs()).toEqual([
+                    [
+                        {
+                            completed: 1,
+                            remaining: 2,
+                            total: 3
+                        }
+                    ],
+                    [
+                        {
+                            completed: 2,
+                            remaining: 1,
+                            total: 3
+                        }
+                    ],
+                    [
+                        {
+                            completed: 3,
+                            remaining: 0,
+                            total: 3
+                        }
+                    ]
+                ]);
             });
         });
-        it("is used by other functions for promise generation", () => {
-            var spy;
+        it("reports rejections and continues reporting after bailing", () => {
+            var onSettled;
 
-            spyOn(morePromises, "newPromise");
-            spy = morePromises.newPromise;
-            expect(spy.calls.count()).toBe(0);
-            morePromises.all([]);
-            expect(spy.calls.count()).toBe(1);
-            morePromises.delay(1);
-            expect(spy.calls.count()).toBe(2);
-            morePromises.promisify(() => {})();
-            expect(spy.calls.count()).toBe(3);
-            morePromises.settle({});
-            expect(spy.calls.count()).toBe(4);
-            morePromises.race([]);
-            expect(spy.calls.count()).toBe(5);
-            morePromises.reflect({});
-            expect(spy.calls.count()).toBe(6);
-            morePromises.timeout({}, 1);
-            expect(spy.calls.count()).toBe(7);
-        });
-    });
-    describe("promisify()", () => {
-        it("changes a callback-based function to promises", () => {
-            var wrapped;
+            onSettled = jasmine.createSpy("onSettled");
 
-            wrapped = morePromises.promisify((callback) => {
-                expect(callback).toEqual(jasmine.any(Function));
-                setTimeout(() => {
-                    callback(null, "something");
-                }, 10);
-            });
+            return morePromises.all([
+                delayedPromise(5, "failure", true),
+                delayedPromise(10, "slow")
+            ], {
+                onSettled
+            }).then(jasmine.fail, () => {
+                expect(onSettled).toHaveBeenCalledWith(0, "rejected", "failure");
+                expect(onSettled.calls.count()).toBe(1);
 
-            return wrapped().then((result) => {
-                expect(result).toBe("something");
+                return morePromises.delay(20);
+            }).then(() => {
+                expect(onSettled).toHaveBeenCalledWith(1, "fulfilled", "slow");
             });
         });
-        it("passes arguments", () => {
-            var wrapped;
+        it("throws errors from the callbacks asynchronously", () => {
+            spyOn(process, "nextTick");
 
-            wrapped = morePromises.promisify((one, two, callback) => {
-                expect(one).toBe("one");
-                expect(two).toBe("two");
-                expect(callback).toEqual(jasmine.any(Function));
-                setTimeout(() => {
-                    callback(null, "something");
-                }, 10);
+            return morePromises.all([
+                Promise.resolve(1),
+                2
+            ], {
+                onSettled: () => {
+                    throw new Error("onSettled");
+                }
+            }).then((result) => {
+                expect(result).toEqual([
+                    1,
+                    2
+                ]);
+                expect(process.nextTick.calls.count()).toBe(2);
+                process.nextTick.calls.allArgs().forEach((args) => {
+                    expect(args[0]).toThrowError("onSettled");
+                });
             });
+        });
+        it("rejects options that do not work in deep mode", () => {
+            var onSettled;
 
-            return wrapped("one", "two").then((result) => {
-                expect(result).toBe("something");
+            onSettled = jasmine.createSpy("onSettled");
+
+            return morePromises.all([
+                Promise.resolve(1)
+            ], {
+                deep: true,
+                itemTimeout: 10,
+                onSettled
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection).toEqual(jasmine.any(TypeError));
+                expect(rejection.message).toBe("The deep option can not be used with itemTimeout, onSettled");
+                expect(onSettled).not.toHaveBeenCalled();
             });
         });
-        it("uses a supplied context", () => {
-            var context, wrapped;
+        it("resolves nested promises in deep mode", () => {
+            return morePromises.all({
+                nested: {
+                    promise: delayedPromise(5, 5)
+                }
+            }, {
+                deep: true
+            }).then((result) => {
+                expect(result).toEqual({
+                    nested: {
+                        promise: 5
+                    }
+                });
+            });
+        });
+        it("resolves with a Map when given a Map", () => {
+            return morePromises.all(new Map([
+                [
+                    "promise",
+                    delayedPromise(5, 5)
+                ],
+                [
+                    "value",
+                    "value"
+                ]
+            ])).then((result) => {
+                expect(result).toEqual(jasmine.any(Map));
+                expect(result.size).toBe(2);
+                expect(result.get("promise")).toBe(5);
+                expect(result.get("value")).toBe("value");
+            });
+        });
+        it("resolves with an array when given a Set", () => {
+            return morePromises.all(new Set([
+                delayedPromise(5, 5),
+                "value"
+            ])).then((result) => {
+                expect(result).toEqual([
+                    5,
+                    "value"
+                ]);
+            });
+        });
+        it("reads an async iterable", () => {
+            return morePromises.all(makeAsyncIterable([
+                delayedPromise(5, 5),
+                "value"
+            ])).then((result) => {
+                expect(result).toEqual([
+                    5,
+                    "value"
+                ]);
+            });
+        });
+        it("rejects when an async iterable fails", () => {
+            return morePromises.all({
+                [Symbol.asyncIterator]: () => {
+                    return {
+                        next: () => {
+                            throw new Error("broken");
+                        }
+                    };
+                }
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection.message).toBe("broken");
+            });
+        });
+        it("does not call functions without abort options", () => {
+            var fn;
 
-            context = {};
+            fn = jasmine.createSpy("fn");
 
-            // Do not use an arrow function here
-            /* eslint no-invalid-this:off */
-            wrapped = morePromises.promisify(function (callback) {
-                this.worked = true;
-                callback();
-            }, context);
+            return morePromises.all([
+                fn
+            ]).then((result) => {
+                expect(result).toEqual([
+                    fn
+                ]);
+                expect(fn).not.toHaveBeenCalled();
+            });
+        });
+        it("aborts the remaining tasks when bailing", () => {
+            var slow;
 
-            return wrapped().then(() => {
-                expect(context.worked).toBe(true);
+            slow = abortableTask(100, "slow");
+
+            return morePromises.all({
+                failure: abortableTask(5, "failure", true),
+                slow,
+                value: "value"
+            }, {
+                abortOnSettle: true
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection).toBe("failure");
+                expect(slow.signal.aborted).toBe(true);
             });
         });
-        it("sends errors as rejected promises", () => {
-            var wrapped;
+        it("rejects when the signal is aborted", () => {
+            var promise, slow, token;
 
-            wrapped = morePromises.promisify((callback) => {
-                callback("this is an error");
+            slow = abortableTask(100, "slow");
+            token = makeCancelToken();
+            promise = morePromises.all([
+                slow
+            ], {
+                signal: token
             });
+            token.abort();
 
-            return wrapped().then(jasmine.fail, (rejection) => {
-                expect(rejection).toBe("this is an error");
+            return promise.then(jasmine.fail, (rejection) => {
+                expect(rejection.name).toBe("AbortError");
+                expect(slow.signal.aborted).toBe(true);
+                expect(token.listeners.length).toBe(0);
             });
         });
-    });
-    describe("promisifyAll()", () => {
-        it("promisifies only functions without Async at the end", () => {
-            var obj;
+        it("rejects immediately when the signal was already aborted", () => {
+            var task, token;
 
-            obj = {
-                // Already has Async
-                thingAsync: () => {},
+            task = jasmine.createSpy("task");
+            token = makeCancelToken();
+            token.abort();
 
-                // Not a function
-                num: 7,
+            return morePromises.all([
+                task
+            ], {
+                signal: token
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection.name).toBe("AbortError");
+                expect(task).not.toHaveBeenCalled();
+                expect(token.listeners.length).toBe(0);
+            });
+        });
+        it("works without a built-in AbortController", () => {
+            var original, promise, slow;
 
-                // Not a function
-                str: "str",
+            original = global.AbortController;
+            delete global.AbortController;
+            slow = abortableTask(100, "slow");
+            promise = morePromises.all([
+                abortableTask(5, "fast"),
+                slow,
+                () => {
+                    throw new Error("thrown");
+                }
+            ], {
+                abortOnSettle: true
+            });
+            global.AbortController = original;
+
+            return promise.then(jasmine.fail, (rejection) => {
+                expect(rejection.message).toBe("thrown");
+                expect(slow.signal.aborted).toBe(true);
+            });
+        });
+        it("rejects when an item takes too long", () => {
+            return morePromises.all([
+                delayedPromise(5, "fast"),
+                delayedPromise(100, "slow")
+            ], {
+                itemTimeout: 20
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection.message).toBe("Timeout after 20 milliseconds");
+            });
+        });
+        it("rejects when the whole list takes too long", () => {
+            startTimer();
+
+            return morePromises.all([
+                delayedPromise(15, "first"),
+                delayedPromise(15, "second"),
+                delayedPromise(100, "slow")
+            ], {
+                itemTimeout: 50,
+                timeout: 30
+            }).then(jasmine.fail, (rejection) => {
+                expect(elapsedTime()).toBeLessThan(50);
+                expect(rejection.message).toBe("Timeout after 30 milliseconds");
+            });
+        });
+        it("resolves within the time limits", () => {
+            return morePromises.all([
+                delayedPromise(5, "fast"),
+                "value"
+            ], {
+                itemTimeout: 50,
+                timeout: 50
+            }).then((result) => {
+                expect(result).toEqual([
+                    "fast",
+                    "value"
+                ]);
+            });
+        });
+    });
+    describe("any()", () => {
+        it("resolves with the first fulfilled promise", () => {
+            return morePromises.any([
+                delayedPromise(5, 5, true),
+                delayedPromise(15, 15),
+                delayedPromise(10, 10)
+            ]).then((result) => {
+                expect(result).toBe(10);
+            });
+        });
+        it("resolves with the first fulfilled value in a map", () => {
+            return morePromises.any(new Map([
+                [
+                    "a",
+                    delayedPromise(5, "a", true)
+                ],
+                [
+                    "b",
+                    delayedPromise(5, "b")
+                ]
+            ])).then((result) => {
+                expect(result).toBe("b");
+            });
+        });
+        it("resolves with a non-promise value", () => {
+            return morePromises.any({
+                promise: delayedPromise(5, 5),
+                value: "value"
+            }).then((result) => {
+                expect(result).toBe("value");
+            });
+        });
+        it("rejects with all rejections and preserves keys", () => {
+            return morePromises.any({
+                one: delayedPromise(10, 1, true),
+                two: delayedPromise(5, 2, true)
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection).toEqual({
+                    one: 1,
+                    two: 2
+                });
+            });
+        });
+        it("rejects when there's nothing in the list", () => {
+            return morePromises.any([]).then(jasmine.fail, (rejection) => {
+                expect(rejection).toEqual([]);
+            });
+        });
+    });
+    describe("callbackify()", () => {
+        it("sends the resolved value", (done) => {
+            morePromises.callbackify(delayedPromise(10, "ok"), (err, value) => {
+                expect(err).toBe(null);
+                expect(value).toBe("ok");
+                done();
+            });
+        });
+        it("sends an error", (done) => {
+            morePromises.callbackify(delayedPromise(10, "fail", true), (err, value) => {
+                expect(err).toBe("fail");
+                expect(value).not.toBeDefined();
+                done();
+            });
+        });
+        it("wraps falsy rejections in an Error", (done) => {
+            morePromises.callbackify(delayedPromise(10, 0, true), (err) => {
+                expect(err).toEqual(jasmine.any(Error));
+                expect(err.reason).toBe(0);
+                done();
+            });
+        });
+        it("converts a function", (done) => {
+            var context, wrapped;
+
+            context = {
+                value: "context"
+            };
+
+            // Do not use an arrow function here
+            /* eslint no-invalid-this:off */
+            wrapped = morePromises.callbackify(function (one, two) {
+                return delayedPromise(5, `${this.value} ${one} ${two}`);
+            });
+            wrapped.call(context, "one", "two", (err, value) => {
+                expect(err).toBe(null);
+                expect(value).toBe("context one two");
+                done();
+            });
+        });
+        it("converts a function that throws", (done) => {
+            var wrapped;
+
+            wrapped = morePromises.callbackify(() => {
+                throw new Error("thrown");
+            });
+            wrapped((err) => {
+                expect(err.message).toBe("thrown");
+                done();
+            });
+        });
+        it("converts a function that rejects with a falsy value", (done) => {
+            var wrapped;
+
+            wrapped = morePromises.callbackify(() => {
+                return Promise.reject(null);
+            });
+            wrapped((err) => {
+                expect(err).toEqual(jasmine.any(Error));
+                expect(err.reason).toBe(null);
+                done();
+            });
+        });
+        it("throws when the last argument is not a function", () => {
+            var fn, wrapped;
+
+            fn = jasmine.createSpy("fn");
+            wrapped = morePromises.callbackify(fn);
+            expect(() => {
+                wrapped("one", "two");
+            }).toThrowError(TypeError, "The last argument must be a callback function");
+            expect(() => {
+                wrapped();
+            }).toThrowError(TypeError, "The last argument must be a callback function");
+            expect(fn).not.toHaveBeenCalled();
+        });
+        it("does not call the callback twice when it throws", (done) => {
+            var callback, wrapped;
+
+            spyOn(process, "nextTick").and.callFake((fn) => {
+                expect(fn).toThrow(jasmine.any(Error));
+                expect(callback.calls.count()).toBe(1);
+                done();
+            });
+            callback = jasmine.createSpy("callback").and.throwError("callback error");
+            wrapped = morePromises.callbackify(() => {
+                return "value";
+            });
+            wrapped(callback);
+        });
+    });
+    describe("circuitBreaker()", () => {
+        it("passes calls through while closed", () => {
+            var breaker;
+
+            breaker = morePromises.circuitBreaker((a, b) => {
+                return delayedPromise(1, a + b);
+            });
+
+            return breaker(1, 2).then((result) => {
+                expect(result).toBe(3);
+                expect(breaker.state).toBe("closed");
+                expect(breaker.stats).toEqual({
+                    calls: 1,
+                    failures: 0,
+                    shortCircuits: 0,
+                    successes: 1
+                });
+            });
+        });
+        it("opens after too many failures and fails fast", () => {
+            var breaker, calls, changes;
+
+            calls = 0;
+            changes = [];
+            breaker = morePromises.circuitBreaker(() => {
+                calls += 1;
+
+                return delayedPromise(1, "failed", true);
+            }, {
+                failureThreshold: 2,
+                onStateChange: (state, previous) => {
+                    changes.push(`${previous}->${state}`);
+                }
+            });
+
+            return breaker().then(jasmine.fail, () => {
+                expect(breaker.state).toBe("closed");
+
+                return breaker();
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection).toBe("failed");
+                expect(breaker.state).toBe("open");
+
+                return breaker();
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection).toEqual(jasmine.any(morePromises.CircuitOpenError));
+                expect(rejection.name).toBe("CircuitOpenError");
+                expect(calls).toBe(2);
+                expect(changes).toEqual([
+                    "closed->open"
+                ]);
+                expect(breaker.stats).toEqual({
+                    calls: 3,
+                    failures: 2,
+                    shortCircuits: 1,
+                    successes: 0
+                });
+            });
+        });
+        it("rethrows errors from onStateChange asynchronously", () => {
+            var breaker;
+
+            spyOn(process, "nextTick");
+            breaker = morePromises.circuitBreaker(() => {
+                return delayedPromise(1, "failed", true);
+            }, {
+                failureThreshold: 1,
+                onStateChange: () => {
+                    throw new Error("onStateChange");
+                }
+            });
+
+            return breaker().then(jasmine.fail, (rejection) => {
+                expect(rejection).toBe("failed");
+                expect(breaker.state).toBe("open");
+
+                return breaker();
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection.name).toBe("CircuitOpenError");
+                expect(process.nextTick.calls.count()).toBe(1);
+                expect(process.nextTick.calls.argsFor(0)[0]).toThrowError("onStateChange");
+            });
+        });
+        it("resets the failure count after a success", () => {
+            var breaker, results;
+
+            results = [
+                "failed",
+                "ok",
+                "failed"
+            ];
+            breaker = morePromises.circuitBreaker(() => {
+                var result;
+
+                result = results.shift();
+
+                return delayedPromise(1, result, result === "failed");
+            }, {
+                failureThreshold: 2
+            });
+
+            return breaker().then(jasmine.fail, () => {
+                return breaker();
+            }).then(() => {
+                return breaker();
+            }).then(jasmine.fail, () => {
+                expect(breaker.state).toBe("closed");
+            });
+        });
+        it("probes when half-open and closes after a success", () => {
+            var breaker, changes, isFailing;
+
+            changes = [];
+            isFailing = true;
+            breaker = morePromises.circuitBreaker(() => {
+                return delayedPromise(5, "result", isFailing);
+            }, {
+                failureThreshold: 1,
+                onStateChange: (state) => {
+                    changes.push(state);
+                },
+                resetTimeout: 10
+            });
+
+            return breaker().then(jasmine.fail, () => {
+                isFailing = false;
+
+                return delayedPromise(15);
+            }).then(() => {
+                var trial;
+
+                trial = breaker();
+                expect(breaker.state).toBe("half-open");
+
+                return Promise.all([
+                    trial,
+                    breaker().then(jasmine.fail, (rejection) => {
+                        expect(rejection.name).toBe("CircuitOpenError");
+                    })
+                ]);
+            }).then(() => {
+                expect(breaker.state).toBe("closed");
+                expect(changes).toEqual([
+                    "open",
+                    "half-open",
+                    "closed"
+                ]);
+            });
+        });
+        it("opens again when a trial fails", () => {
+            var breaker;
+
+            breaker = morePromises.circuitBreaker(() => {
+                return delayedPromise(1, "failed", true);
+            }, {
+                failureThreshold: 1,
+                resetTimeout: 10
+            });
+
+            return breaker().then(jasmine.fail, () => {
+                return delayedPromise(15);
+            }).then(() => {
+                return breaker();
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection).toBe("failed");
+                expect(breaker.state).toBe("open");
+            });
+        });
+        it("counts calls that take too long as failures", () => {
+            var breaker;
+
+            breaker = morePromises.circuitBreaker(() => {
+                return delayedPromise(100, "slow");
+            }, {
+                failureThreshold: 1,
+                timeout: 10
+            });
+
+            return breaker().then(jasmine.fail, (rejection) => {
+                expect(rejection.message).toBe("Timeout after 10 milliseconds");
+                expect(breaker.state).toBe("open");
+            });
+        });
+    });
+    describe("debounce()", () => {
+        it("calls once with the last arguments and shares the promise", () => {
+            var calls, debounced, first, second;
+
+            calls = [];
+            debounced = morePromises.debounce((value) => {
+                calls.push(value);
+
+                return value * 10;
+            }, 10);
+            first = debounced(1);
+            second = debounced(2);
+            expect(first).toBe(second);
+
+            return first.then((result) => {
+                expect(result).toBe(20);
+                expect(calls).toEqual([
+                    2
+                ]);
+
+                return debounced(3);
+            }).then((result) => {
+                expect(result).toBe(30);
+                expect(calls).toEqual([
+                    2,
+                    3
+                ]);
+            });
+        });
+        it("waits until the calls stop", () => {
+            var debounced;
+
+            debounced = morePromises.debounce(() => {
+                return elapsedTime();
+            }, 20);
+            startTimer();
+            debounced();
+            setTimeout(debounced, 10);
+
+            return debounced().then((calledAt) => {
+                expect(calledAt).not.toBeLessThan(25);
+            });
+        });
+        it("rejects when the function throws", () => {
+            return morePromises.debounce(() => {
+                throw new Error("thrown");
+            }, 1)().then(jasmine.fail, (rejection) => {
+                expect(rejection.message).toBe("thrown");
+            });
+        });
+    });
+    describe("defer()", () => {
+        it("resolves the promise and reports the state", () => {
+            var deferred;
+
+            deferred = morePromises.defer();
+            expect(deferred.promise).toEqual(jasmine.any(Promise));
+            expect(deferred.state).toBe("pending");
+            expect(deferred.isSettled).toBe(false);
+            deferred.resolve("value");
+            deferred.reject("ignored");
+            expect(deferred.state).toBe("fulfilled");
+            expect(deferred.isSettled).toBe(true);
+
+            return deferred.promise.then((result) => {
+                expect(result).toBe("value");
+            });
+        });
+        it("rejects the promise", () => {
+            var deferred;
+
+            deferred = morePromises.defer();
+            deferred.reject("failed");
+            deferred.resolve("ignored");
+            expect(deferred.state).toBe("rejected");
+            expect(deferred.isSettled).toBe(true);
+
+            return deferred.promise.then(jasmine.fail, (rejection) => {
+                expect(rejection).toBe("failed");
+            });
+        });
+        it("stays pending until a thenable is settled", () => {
+            var deferred;
+
+            deferred = morePromises.defer();
+            deferred.resolve(delayedPromise(5, "failed", true));
+            expect(deferred.state).toBe("pending");
+
+            return deferred.promise.then(jasmine.fail, (rejection) => {
+                expect(rejection).toBe("failed");
+                expect(deferred.state).toBe("rejected");
+                expect(deferred.isSettled).toBe(true);
+            });
+        });
+        it("calls then only once on a thenable", () => {
+            var deferred, thenable;
+
+            thenable = {
+                then: jasmine.createSpy("then").and.callFake((onFulfilled) => {
+                    setTimeout(() => {
+                        onFulfilled(delayedPromise(1, "value"));
+                    }, 1);
+                })
+            };
+            deferred = morePromises.defer();
+            deferred.resolve(thenable);
+
+            return deferred.promise.then((result) => {
+                expect(result).toBe("value");
+                expect(deferred.state).toBe("fulfilled");
+                expect(thenable.then.calls.count()).toBe(1);
+            });
+        });
+        it("rejects when resolved with its own promise", () => {
+            var deferred;
+
+            deferred = morePromises.defer();
+            deferred.resolve(deferred.promise);
+            expect(deferred.state).toBe("rejected");
+
+            return deferred.promise.then(jasmine.fail, (rejection) => {
+                expect(rejection).toEqual(jasmine.any(TypeError));
+            });
+        });
+        it("uses newPromise()", () => {
+            spyOn(morePromises, "newPromise").and.callThrough();
+            morePromises.defer();
+            expect(morePromises.newPromise).toHaveBeenCalled();
+        });
+    });
+    describe("delay()", () => {
+        it("waits at least the necessary amount of time", () => {
+            startTimer();
+
+            return morePromises.delay(100).then(() => {
+                expect(elapsedTime()).not.toBeLessThan(100);
+                expect(elapsedTime()).toBeLessThan(500);
+            });
+        });
+        it("chains onto a promise", () => {
+            var promise;
+
+            promise = new Promise((resolve) => {
+                setTimeout(() => {
+                    startTimer();
+                    resolve("abc");
+                }, 100);
+            });
+
+            return morePromises.delay(promise, 100).then((result) => {
+                expect(result).toBe("abc");
+                expect(elapsedTime()).not.toBeLessThan(100);
+                expect(elapsedTime()).toBeLessThan(500);
+            });
+        });
+        it("rejects immediately", () => {
+            startTimer();
+
+            return morePromises.delay(Promise.reject("reason"), 100).then(jasmine.fail, (rejection) => {
+                expect(elapsedTime()).toBeLessThan(50);
+                expect(rejection).toBe("reason");
+            });
+        });
+        it("stops listening for an abort after resolving", () => {
+            var token;
+
+            token = makeCancelToken();
+
+            return morePromises.delay(1, {
+                signal: token
+            }).then(() => {
+                expect(token.listeners.length).toBe(0);
+            });
+        });
+        it("clears the timer and rejects when aborted", () => {
+            var promise, token;
+
+            spyOn(global, "clearTimeout").and.callThrough();
+            token = makeCancelToken();
+            startTimer();
+            promise = morePromises.delay(100, {
+                signal: token
+            });
+            setTimeout(() => {
+                token.abort();
+            }, 10);
+
+            return promise.then(jasmine.fail, (rejection) => {
+                expect(elapsedTime()).toBeLessThan(50);
+                expect(rejection).toEqual(jasmine.any(Error));
+                expect(rejection.name).toBe("AbortError");
+                expect(clearTimeout).toHaveBeenCalled();
+                expect(token.listeners.length).toBe(0);
+            });
+        });
+        it("aborts while waiting for the promise", () => {
+            var token;
+
+            token = makeCancelToken();
+            token.abort();
+
+            return morePromises.delay(delayedPromise(10, "ok"), 10, {
+                signal: token
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection.name).toBe("AbortError");
+            });
+        });
+    });
+    describe("each()", () => {
+        it("calls the function in order and resolves with the items", () => {
+            var calls;
+
+            calls = [];
+
+            return morePromises.each([
+                delayedPromise(10, "slow"),
+                "value",
+                delayedPromise(1, "fast")
+            ], (value, key) => {
+                calls.push(`${key}:${value}`);
+
+                return delayedPromise(5, "ignored");
+            }).then((result) => {
+                expect(result).toEqual([
+                    "slow",
+                    "value",
+                    "fast"
+                ]);
+                expect(calls).toEqual([
+                    "0:slow",
+                    "1:value",
+                    "2:fast"
+                ]);
+            });
+        });
+        it("stops at the first rejection", () => {
+            var calls;
+
+            calls = [];
+
+            return morePromises.each({
+                a: 1,
+                b: 2,
+                c: 3
+            }, (value, key) => {
+                calls.push(key);
+
+                if (key === "b") {
+                    throw new Error("thrown");
+                }
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection.message).toBe("thrown");
+                expect(calls).toEqual([
+                    "a",
+                    "b"
+                ]);
+            });
+        });
+    });
+    describe("filter()", () => {
+        it("keeps array items that pass in order", () => {
+            return morePromises.filter([
+                delayedPromise(10, 1),
+                2,
+                delayedPromise(1, 3),
+                4
+            ], (value) => {
+                return delayedPromise(5 - value, value % 2);
+            }).then((result) => {
+                expect(result).toEqual([
+                    1,
+                    3
+                ]);
+            });
+        });
+        it("drops object keys that fail", () => {
+            return morePromises.filter({
+                a: 1,
+                b: 2,
+                c: 3
+            }, (value, key) => {
+                return key !== "b";
+            }).then((result) => {
+                expect(result).toEqual({
+                    a: 1,
+                    c: 3
+                });
+            });
+        });
+        it("limits concurrency", () => {
+            var active, maxActive;
+
+            active = 0;
+            maxActive = 0;
+
+            return morePromises.filter([
+                1,
+                2,
+                3,
+                4
+            ], () => {
+                active += 1;
+                maxActive = Math.max(active, maxActive);
+
+                return delayedPromise(5, true).then((resolution) => {
+                    active -= 1;
+
+                    return resolution;
+                });
+            }, {
+                concurrency: 2
+            }).then((result) => {
+                expect(result.length).toBe(4);
+                expect(maxActive).toBe(2);
+            });
+        });
+        it("rejects when the predicate fails", () => {
+            return morePromises.filter([
+                1
+            ], () => {
+                throw new Error("thrown");
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection.message).toBe("thrown");
+            });
+        });
+    });
+    describe("fromEvent()", () => {
+        it("resolves with the first event and removes the listeners", () => {
+            var emitter, promise;
+
+            emitter = new EventEmitter();
+            promise = morePromises.fromEvent(emitter, "ready");
+            emitter.emit("ready", "first", "extra");
+            emitter.emit("ready", "second");
+
+            return promise.then((result) => {
+                expect(result).toBe("first");
+                expect(emitter.listenerCount("ready")).toBe(0);
+                expect(emitter.listenerCount("error")).toBe(0);
+            });
+        });
+        it("rejects on an error event", () => {
+            var emitter, promise;
+
+            emitter = new EventEmitter();
+            promise = morePromises.fromEvent(emitter, "ready");
+            emitter.emit("error", new Error("failed"));
+
+            return promise.then(jasmine.fail, (rejection) => {
+                expect(rejection.message).toBe("failed");
+                expect(emitter.listenerCount("ready")).toBe(0);
+            });
+        });
+        it("rejects on other events", () => {
+            var emitter, promise;
+
+            emitter = new EventEmitter();
+            promise = morePromises.fromEvent(emitter, "ready", {
+                rejectOn: [
+                    "close",
+                    "abort"
+                ]
+            });
+            emitter.emit("abort", "aborted");
+
+            return promise.then(jasmine.fail, (rejection) => {
+                expect(rejection).toBe("aborted");
+                expect(emitter.listenerCount("close")).toBe(0);
+            });
+        });
+        it("filters events and resolves with all arguments", () => {
+            var emitter, promise;
+
+            emitter = new EventEmitter();
+            promise = morePromises.fromEvent(emitter, "message", {
+                filter: (type) => {
+                    return type === "wanted";
+                },
+                multiArgs: true
+            });
+            emitter.emit("message", "unwanted", 1);
+            emitter.emit("message", "wanted", 2);
+
+            return promise.then((result) => {
+                expect(result).toEqual([
+                    "wanted",
+                    2
+                ]);
+            });
+        });
+        it("rejects and cleans up when the filter throws", () => {
+            var emitter, promise;
+
+            spyOn(global, "clearTimeout").and.callThrough();
+            emitter = new EventEmitter();
+            promise = morePromises.fromEvent(emitter, "message", {
+                filter: () => {
+                    throw new Error("filter failed");
+                },
+                timeout: 1000
+            });
+            expect(() => {
+                emitter.emit("message", "value");
+            }).not.toThrow();
+
+            return promise.then(jasmine.fail, (rejection) => {
+                expect(rejection.message).toBe("filter failed");
+                expect(emitter.listenerCount("message")).toBe(0);
+                expect(emitter.listenerCount("error")).toBe(0);
+                expect(clearTimeout).toHaveBeenCalled();
+            });
+        });
+        it("rejects when the event takes too long", () => {
+            var emitter;
+
+            emitter = new EventEmitter();
+
+            return morePromises.fromEvent(emitter, "ready", {
+                timeout: 10
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection.message).toBe("Timeout after 10 milliseconds");
+                expect(emitter.listenerCount("ready")).toBe(0);
+            });
+        });
+    });
+    describe("map()", () => {
+        it("maps arrays and preserves indexes", () => {
+            return morePromises.map([
+                delayedPromise(15, 15),
+                5,
+                "value"
+            ], (value, key) => {
+                return delayedPromise(5, `${key}:${value}`);
+            }).then((result) => {
+                expect(result).toEqual([
+                    "0:15",
+                    "1:5",
+                    "2:value"
+                ]);
+            });
+        });
+        it("maps objects and preserves keys", () => {
+            return morePromises.map({
+                one: 1,
+                two: delayedPromise(5, 2)
+            }, (value) => {
+                return value * 10;
+            }).then((result) => {
+                expect(result).toEqual({
+                    one: 10,
+                    two: 20
+                });
+            });
+        });
+        it("limits concurrency", () => {
+            var active, maxActive;
+
+            active = 0;
+            maxActive = 0;
+
+            return morePromises.map([
+                1,
+                2,
+                3,
+                4,
+                5
+            ], (value) => {
+                active += 1;
+                maxActive = Math.max(active, maxActive);
+
+                return delayedPromise(5, value).then((resolution) => {
+                    active -= 1;
+
+                    return resolution;
+                });
+            }, {
+                concurrency: 2
+            }).then((result) => {
+                expect(result).toEqual([
+                    1,
+                    2,
+                    3,
+                    4,
+                    5
+                ]);
+                expect(maxActive).toBe(2);
+            });
+        });
+        it("handles rejections of items that are never reached", () => {
+            var stopTracking;
+
+            stopTracking = trackUnhandledRejections();
+
+            return morePromises.map([
+                Promise.reject("first"),
+                Promise.reject("second")
+            ], (value) => {
+                return value;
+            }, {
+                concurrency: 1
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection).toBe("first");
+
+                return delayedPromise(10);
+            }).then(() => {
+                expect(stopTracking()).toEqual([]);
+            });
+        });
+        it("rejects with the first rejection and stops starting work", () => {
+            var spy;
+
+            spy = jasmine.createSpy("fn").and.callFake((value) => {
+                return delayedPromise(5, value, value === 2);
+            });
+
+            return morePromises.map([
+                1,
+                2,
+                3,
+                4
+            ], spy, {
+                concurrency: 1
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection).toBe(2);
+
+                return morePromises.delay(20);
+            }).then(() => {
+                expect(spy.calls.count()).toBe(2);
+            });
+        });
+        it("works when there's nothing in the list", () => {
+            return morePromises.map({}, jasmine.fail).then((result) => {
+                expect(result).toEqual({});
+            });
+        });
+    });
+    describe("mapReflect()", () => {
+        it("always resolves and provides all statuses", () => {
+            return morePromises.mapReflect({
+                good: 1,
+                bad: 2
+            }, (value, key) => {
+                return delayedPromise(5, value, key === "bad");
+            }, {
+                concurrency: 1
+            }).then((result) => {
+                expect(result).toEqual({
+                    good: {
+                        state: "fulfilled",
+                        value: 1
+                    },
+                    bad: {
+                        state: "rejected",
+                        value: 2
+                    }
+                });
+            });
+        });
+        it("resolves when given an empty list", () => {
+            return morePromises.mapReflect([], jasmine.fail).then((result) => {
+                expect(result).toEqual([]);
+            });
+        });
+    });
+    describe("mapSettle()", () => {
+        it("handles rejections queued behind the concurrency limit", () => {
+            var stopTracking;
+
+            stopTracking = trackUnhandledRejections();
+
+            return morePromises.mapSettle([
+                1,
+                Promise.reject("queued")
+            ], (value) => {
+                return delayedPromise(20, value);
+            }, {
+                concurrency: 1
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection).toEqual([
+                    "queued"
+                ]);
+                expect(stopTracking()).toEqual([]);
+            });
+        });
+        it("resolves when every call is fulfilled", () => {
+            return morePromises.mapSettle([
+                1,
+                delayedPromise(5, 2)
+            ], (value) => {
+                return value + 1;
+            }).then((result) => {
+                expect(result).toEqual([
+                    2,
+                    3
+                ]);
+            });
+        });
+        it("calls everything and condenses the rejection array", () => {
+            var spy;
+
+            spy = jasmine.createSpy("fn").and.callFake((value) => {
+                return delayedPromise(5, value, value % 2);
+            });
+
+            return morePromises.mapSettle([
+                1,
+                2,
+                3,
+                4
+            ], spy, {
+                concurrency: 2
+            }).then(jasmine.fail, (rejection) => {
+                expect(spy.calls.count()).toBe(4);
+                expect(rejection).toEqual([
+                    1,
+                    3
+                ]);
+            });
+        });
+        it("preserves indexes of the rejection array when sparse", () => {
+            return morePromises.mapSettle([
+                1,
+                2
+            ], (value) => {
+                return delayedPromise(5, value, value === 2);
+            }, {
+                sparse: true
+            }).then(jasmine.fail, (rejection) => {
+                // eslint-disable-next-line no-sparse-arrays
+                expect(rejection).toEqual([
+                    // eslint-disable-next-line comma-style
+                    ,
+                    2
+                ]);
+            });
+        });
+    });
+    describe("memoize()", () => {
+        it("shares promises for calls with the same key", () => {
+            var calls, memoized;
+
+            calls = 0;
+            memoized = morePromises.memoize((value) => {
+                calls += 1;
+
+                return delayedPromise(5, value * 10);
+            });
+            expect(memoized(1)).toBe(memoized(1));
+
+            return Promise.all([
+                memoized(1),
+                memoized(2)
+            ]).then((result) => {
+                expect(result).toEqual([
+                    10,
+                    20
+                ]);
+
+                return memoized(1);
+            }).then((result) => {
+                expect(result).toBe(10);
+                expect(calls).toBe(2);
+            });
+        });
+        it("uses a custom key", () => {
+            var calls, memoized;
+
+            calls = 0;
+            memoized = morePromises.memoize((a, b) => {
+                calls += 1;
+
+                return a + b;
+            }, {
+                key: (a, b) => {
+                    return `${a},${b}`;
+                }
+            });
+
+            return Promise.all([
+                memoized(1, 2),
+                memoized(1, 2),
+                memoized(1, 3)
+            ]).then((result) => {
+                expect(result).toEqual([
+                    3,
+                    3,
+                    4
+                ]);
+                expect(calls).toBe(2);
+            });
+        });
+        it("forgets resolutions after the ttl", () => {
+            var calls, memoized;
+
+            calls = 0;
+            memoized = morePromises.memoize(() => {
+                calls += 1;
+
+                return calls;
+            }, {
+                ttl: 10
+            });
+
+            return memoized().then(() => {
+                return memoized();
+            }).then((result) => {
+                expect(result).toBe(1);
+
+                return delayedPromise(20);
+            }).then(() => {
+                return memoized();
+            }).then((result) => {
+                expect(result).toBe(2);
+            });
+        });
+        it("removes expired entries from the cache", () => {
+            var memoized;
+
+            memoized = morePromises.memoize((value) => {
+                return value;
+            }, {
+                cacheRejections: true,
+                ttl: 10
+            });
+
+            return Promise.all([
+                memoized(1),
+                memoized(2),
+                memoized(Promise.reject("failed")).then(jasmine.fail, () => {})
+            ]).then(() => {
+                expect(memoized.size).toBe(3);
+
+                return delayedPromise(20);
+            }).then(() => {
+                expect(memoized.size).toBe(0);
+            });
+        });
+        it("does not cache rejections by default", () => {
+            var calls, memoized;
+
+            calls = 0;
+            memoized = morePromises.memoize(() => {
+                calls += 1;
+                throw new Error(`failure ${calls}`);
+            });
+
+            return memoized().then(jasmine.fail, () => {
+                return memoized();
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection.message).toBe("failure 2");
+            });
+        });
+        it("caches rejections when asked", () => {
+            var calls, memoized;
+
+            calls = 0;
+            memoized = morePromises.memoize(() => {
+                calls += 1;
+
+                return delayedPromise(1, `failure ${calls}`, true);
+            }, {
+                cacheRejections: true
+            });
+
+            return memoized().then(jasmine.fail, () => {
+                return memoized();
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection).toBe("failure 1");
+            });
+        });
+        it("clears the cache", () => {
+            var calls, memoized;
+
+            calls = 0;
+            memoized = morePromises.memoize(() => {
+                calls += 1;
+
+                return calls;
+            });
+
+            return memoized().then(() => {
+                memoized.clear();
+
+                return memoized();
+            }).then((result) => {
+                expect(result).toBe(2);
+            });
+        });
+    });
+    describe("newPromise()", () => {
+        it("creates a Promise and calls a defined function", () => {
+            var promise, spy;
+
+            spy = jasmine.createSpy("workFunction").and.callFake((resolve, reject) => {
+                expect(resolve).toEqual(jasmine.any(Function));
+                expect(reject).toEqual(jasmine.any(Function));
+                resolve(delayedPromise(10, "this worked"));
+            });
+            promise = morePromises.newPromise(spy);
+            expect(promise).toEqual(jasmine.any(Promise));
+
+            return promise.then((result) => {
+                expect(result).toBe("this worked");
+            });
+        });
+        it("is used by other functions for promise generation", () => {
+            var spy;
+
+            spyOn(morePromises, "newPromise");
+            spy = morePromises.newPromise;
+            expect(spy.calls.count()).toBe(0);
+            morePromises.all([]);
+            expect(spy.calls.count()).toBe(1);
+            morePromises.delay(1);
+            expect(spy.calls.count()).toBe(2);
+            morePromises.promisify(() => {})();
+            expect(spy.calls.count()).toBe(3);
+            morePromises.settle({});
+            expect(spy.calls.count()).toBe(4);
+            morePromises.race([]);
+            expect(spy.calls.count()).toBe(5);
+            morePromises.reflect({});
+            expect(spy.calls.count()).toBe(6);
+            morePromises.timeout({}, 1);
+            expect(spy.calls.count()).toBe(7);
+            morePromises.retry(() => {});
+            expect(spy.calls.count()).toBe(8);
+            new morePromises.Queue().add(() => {});
+            expect(spy.calls.count()).toBe(9);
+        });
+    });
+    describe("partition()", () => {
+        it("splits arrays into passed and failed items", () => {
+            return morePromises.partition([
+                1,
+                delayedPromise(5, 2),
+                3,
+                4
+            ], (value) => {
+                return delayedPromise(1, value > 2);
+            }).then((result) => {
+                expect(result).toEqual([
+                    [
+                        3,
+                        4
+                    ],
+                    [
+                        1,
+                        2
+                    ]
+                ]);
+            });
+        });
+        it("preserves keys for maps", () => {
+            return morePromises.partition(new Map([
+                [
+                    "a",
+                    1
+                ],
+                [
+                    "b",
+                    2
+                ]
+            ]), (value) => {
+                return value === 1;
+            }).then((result) => {
+                expect(Array.from(result[0])).toEqual([
+                    [
+                        "a",
+                        1
+                    ]
+                ]);
+                expect(Array.from(result[1])).toEqual([
+                    [
+                        "b",
+                        2
+                    ]
+                ]);
+            });
+        });
+    });
+    describe("promisify()", () => {
+        it("changes a callback-based function to promises", () => {
+            var wrapped;
+
+            wrapped = morePromises.promisify((callback) => {
+                expect(callback).toEqual(jasmine.any(Function));
+                setTimeout(() => {
+                    callback(null, "something");
+                }, 10);
+            });
+
+            return wrapped().then((result) => {
+                expect(result).toBe("something");
+            });
+        });
+        it("passes arguments", () => {
+            var wrapped;
+
+            wrapped = morePromises.promisify((one, two, callback) => {
+                expect(one).toBe("one");
+                expect(two).toBe("two");
+                expect(callback).toEqual(jasmine.any(Function));
+                setTimeout(() => {
+                    callback(null, "something");
+                }, 10);
+            });
+
+            return wrapped("one", "two").then((result) => {
+                expect(result).toBe("something");
+            });
+        });
+        it("uses a supplied context", () => {
+            var context, wrapped;
+
+            context = {};
+
+            // Do not use an arrow function here
+            /* eslint no-invalid-this:off */
+            wrapped = morePromises.promisify(function (callback) {
+                this.worked = true;
+                callback();
+            }, context);
+
+            return wrapped().then(() => {
+                expect(context.worked).toBe(true);
+            });
+        });
+        it("sends errors as rejected promises", () => {
+            var wrapped;
+
+            wrapped = morePromises.promisify((callback) => {
+                callback("this is an error");
+            });
+
+            return wrapped().then(jasmine.fail, (rejection) => {
+                expect(rejection).toBe("this is an error");
+            });
+        });
+        it("uses util.promisify.custom when it is defined", () => {
+            var custom, fn;
+
+            custom = () => {
+                return Promise.resolve("custom");
+            };
+            fn = () => {};
+            fn[util.promisify.custom] = custom;
+            expect(morePromises.promisify(fn)).toBe(custom);
+        });
+        it("ignores util.promisify.custom when options are passed", () => {
+            var fn;
+
+            fn = (callback) => {
+                callback(null, "one", "two");
+            };
+            fn[util.promisify.custom] = () => {
+                return Promise.resolve("custom");
+            };
+
+            return morePromises.promisify(fn, null, {
+                multiArgs: true
+            })().then((result) => {
+                expect(result).toEqual([
+                    "one",
+                    "two"
+                ]);
+            });
+        });
+        it("preserves the name and length", () => {
+            var wrapped;
+
+            /**
+             * Function with a name.
+             *
+             * @param {*} one
+             * @param {function} callback
+             */
+            function namedFunction(one, callback) {
+                callback(null, one);
+            }
+
+            wrapped = morePromises.promisify(namedFunction);
+            expect(wrapped.name).toBe("namedFunction");
+            expect(wrapped.length).toBe(2);
+        });
+        it("gives the same function when round-tripping with util.promisify", () => {
+            var nodeWrapped, wrapped;
+
+            wrapped = morePromises.promisify((callback) => {
+                callback(null, "value");
+            });
+            expect(util.promisify(wrapped)).toBe(wrapped);
+            nodeWrapped = util.promisify((callback) => {
+                callback(null, "value");
+            });
+            expect(morePromises.promisify(nodeWrapped)).toBe(nodeWrapped);
+        });
+        it("ignores falsy errors by default", () => {
+            var wrapped;
+
+            wrapped = morePromises.promisify((callback) => {
+                callback(0, "value");
+            });
+
+            return wrapped().then((result) => {
+                expect(result).toBe("value");
+            });
+        });
+        it("rejects falsy errors when asked", () => {
+            var wrapped;
+
+            wrapped = morePromises.promisify((callback) => {
+                callback(0, "value");
+            }, null, {
+                rejectFalsy: true
+            });
+
+            return wrapped().then(jasmine.fail, (rejection) => {
+                expect(rejection).toBe(0);
+            });
+        });
+        it("resolves when rejecting falsy errors and there is no error", () => {
+            var wrapped;
+
+            wrapped = morePromises.promisify((callback) => {
+                callback(null, "value");
+            }, null, {
+                rejectFalsy: true
+            });
+
+            return wrapped().then((result) => {
+                expect(result).toBe("value");
+            });
+        });
+        it("resolves with all values using multiArgs", () => {
+            var wrapped;
+
+            wrapped = morePromises.promisify((callback) => {
+                callback(null, "stdout", "stderr");
+            }, null, {
+                multiArgs: true
+            });
+
+            return wrapped().then((result) => {
+                expect(result).toEqual([
+                    "stdout",
+                    "stderr"
+                ]);
+            });
+        });
+        it("resolves with an object using names", () => {
+            var wrapped;
+
+            wrapped = morePromises.promisify((callback) => {
+                callback(null, "stdout", "stderr", "extra");
+            }, null, {
+                names: [
+                    "stdout",
+                    "stderr"
+                ]
+            });
+
+            return wrapped().then((result) => {
+                expect(result).toEqual({
+                    stdout: "stdout",
+                    stderr: "stderr"
+                });
+            });
+        });
+    });
+    describe("promisifyAll()", () => {
+        it("uses util.promisify.custom when it is defined", () => {
+            var custom, obj;
+
+            custom = () => {};
+            obj = {
+                func: () => {}
+            };
+            obj.func[util.promisify.custom] = custom;
+            morePromises.promisifyAll(obj);
+            expect(obj.funcAsync).toBe(custom);
+        });
+        it("promisifies only functions without Async at the end", () => {
+            var obj;
+
+            obj = {
+                // Already has Async
+                thingAsync: () => {},
+
+                // Not a function
+                num: 7,
+
+                // Not a function
+                str: "str",
 
                 // This gets promisified
                 func: () => {},
 
-                // Avoid overwriting overwriteAsync
-                overwrite: () => {},
-                overwriteAsync: true
-            };
+                // Avoid overwriting overwriteAsync
+                overwrite: () => {},
+                overwriteAsync: true
+            };
+
+            obj.prototype = {
+                // A property named "prototype" is not the prototype chain.
+                func: () => {},
+
+                // Not a function and also not scanned
+                proto: true
+            };
+
+            // Explicitly excluded
+            Object.defineProperty(obj, "getter", {
+                configurable: true,
+                get: () => {}
+            });
+
+            // Explicitly excluded
+            Object.defineProperty(obj, "setter", {
+                configurable: true,
+                get: () => {}
+            });
+            morePromises.promisifyAll(obj);
+            expect(Object.keys(obj).sort()).toEqual([
+                "func",
+                "funcAsync",
+                "num",
+                "overwrite",
+                "overwriteAsync",
+                "prototype",
+                "str",
+                "thingAsync"
+            ]);
+            expect(obj.overwriteAsync).toBe(true);
+        });
+        it("converts callback functions to promises", () => {
+            var obj;
+
+            obj = {
+                func: (callback) => {
+                    callback(null, "ok!");
+                }
+            };
+            morePromises.promisifyAll(obj);
+            expect(obj.funcAsync).toEqual(jasmine.any(Function));
+
+            return obj.funcAsync().then((result) => {
+                expect(result).toBe("ok!");
+            });
+        });
+        it("promisifies inherited methods", () => {
+            var instance;
+
+            /**
+             * A class with methods on its prototype.
+             */
+            class Parent {
+                /**
+                 * Inherited method.
+                 *
+                 * @param {function} callback
+                 */
+                parentMethod(callback) {
+                    callback(null, this.value);
+                }
+            }
+
+            /**
+             * A class that inherits.
+             */
+            class Child extends Parent {
+                /**
+                 * Own method.
+                 *
+                 * @param {function} callback
+                 */
+                childMethod(callback) {
+                    callback(null, "child");
+                }
+            }
+
+            instance = new Child();
+            instance.value = "parent";
+            morePromises.promisifyAll(instance);
+            expect(Object.keys(instance).sort()).toEqual([
+                "childMethodAsync",
+                "parentMethodAsync",
+                "value"
+            ]);
+
+            return instance.parentMethodAsync().then((result) => {
+                expect(result).toBe("parent");
+            });
+        });
+        it("uses a custom suffix, filter and promisifier", () => {
+            var filter, obj, promisifier;
+
+            filter = jasmine.createSpy("filter").and.callFake((name) => {
+                return name !== "skipped";
+            });
+            promisifier = jasmine.createSpy("promisifier").and.returnValue("promisified");
+            obj = {
+                func: () => {},
+                funcAsync: () => {},
+                skipped: () => {}
+            };
+            morePromises.promisifyAll(obj, {
+                filter,
+                promisifier,
+                suffix: "P"
+            });
+            expect(Object.keys(obj).sort()).toEqual([
+                "func",
+                "funcAsync",
+                "funcAsyncP",
+                "funcP",
+                "skipped"
+            ]);
+            expect(obj.funcP).toBe("promisified");
+            expect(filter).toHaveBeenCalledWith("func", obj.func, obj);
+            expect(promisifier).toHaveBeenCalledWith(obj.func, obj);
+        });
+    });
+    describe("props()", () => {
+        it("resolves nested promises and copies the structure", () => {
+            var date, input;
+
+            date = new Date();
+            input = {
+                config: delayedPromise(5, {
+                    // Resolutions are not searched
+                    inner: Promise.resolve()
+                }),
+                list: [
+                    1,
+                    delayedPromise(10, 2),
+                    [
+                        delayedPromise(1, 3)
+                    ]
+                ],
+                nothing: null,
+                when: date
+            };
+
+            return morePromises.props(input).then((result) => {
+                expect(result).toEqual({
+                    config: {
+                        inner: jasmine.any(Promise)
+                    },
+                    list: [
+                        1,
+                        2,
+                        [
+                            3
+                        ]
+                    ],
+                    nothing: null,
+                    when: date
+                });
+                expect(result.when).toBe(date);
+                expect(result.list).not.toBe(input.list);
+                expect(input.list[1]).toEqual(jasmine.any(Promise));
+            });
+        });
+        it("resolves values that are not lists", () => {
+            return morePromises.props(delayedPromise(5, "value")).then((result) => {
+                expect(result).toBe("value");
+            });
+        });
+        it("allows the same object in separate places", () => {
+            var shared;
+
+            shared = {
+                promise: delayedPromise(5, 5)
+            };
+
+            return morePromises.props([
+                shared,
+                shared
+            ]).then((result) => {
+                expect(result).toEqual([
+                    {
+                        promise: 5
+                    },
+                    {
+                        promise: 5
+                    }
+                ]);
+            });
+        });
+        it("rejects with the first rejection", () => {
+            return morePromises.props({
+                deep: {
+                    deeper: [
+                        delayedPromise(5, "failure", true),
+                        delayedPromise(10, "second", true)
+                    ]
+                }
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection).toBe("failure");
+            });
+        });
+        it("resolves promises in maps and keeps their order", () => {
+            var original;
+
+            original = new Map([
+                [
+                    "slow",
+                    delayedPromise(10, "slow")
+                ],
+                [
+                    "nested",
+                    [
+                        delayedPromise(1, "fast")
+                    ]
+                ]
+            ]);
+
+            return morePromises.all(original, {
+                deep: true
+            }).then((result) => {
+                expect(result).not.toBe(original);
+                expect(Array.from(result)).toEqual([
+                    [
+                        "slow",
+                        "slow"
+                    ],
+                    [
+                        "nested",
+                        [
+                            "fast"
+                        ]
+                    ]
+                ]);
+            });
+        });
+        it("rejects circular structures", () => {
+            var input;
+
+            input = {
+                child: {}
+            };
+            input.child.parent = input;
+
+            return morePromises.props(input).then(jasmine.fail, (rejection) => {
+                expect(rejection).toEqual(jasmine.any(TypeError));
+            });
+        });
+    });
+    describe("Queue", () => {
+        it("limits concurrency and resolves with each result", () => {
+            var active, maxActive, queue;
+
+            /**
+             * Creates a job that tracks how many jobs are running.
+             *
+             * @param {*} result
+             * @return {function}
+             */
+            function job(result) {
+                return () => {
+                    active += 1;
+                    maxActive = Math.max(active, maxActive);
+
+                    return delayedPromise(5, result).then((resolution) => {
+                        active -= 1;
+
+                        return resolution;
+                    });
+                };
+            }
+
+            active = 0;
+            maxActive = 0;
+            queue = new morePromises.Queue({
+                concurrency: 2
+            });
+
+            return Promise.all([
+                queue.add(job(1)),
+                queue.add(job(2)),
+                queue.add(job(3)),
+                queue.add(job(4))
+            ]).then((result) => {
+                expect(result).toEqual([
+                    1,
+                    2,
+                    3,
+                    4
+                ]);
+                expect(maxActive).toBe(2);
+            });
+        });
+        it("rejects when a job fails or throws", () => {
+            var queue;
+
+            queue = new morePromises.Queue();
+
+            return Promise.all([
+                queue.add(() => {
+                    return delayedPromise(5, "failed", true);
+                }).then(jasmine.fail, (rejection) => {
+                    expect(rejection).toBe("failed");
+                }),
+                queue.add(() => {
+                    throw new Error("thrown");
+                }).then(jasmine.fail, (rejection) => {
+                    expect(rejection.message).toBe("thrown");
+                })
+            ]);
+        });
+        it("starts jobs with a higher priority first", () => {
+            var order, queue;
+
+            order = [];
+            queue = new morePromises.Queue({
+                concurrency: 1,
+                paused: true
+            });
+            [
+                "low",
+                "high",
+                "normal",
+                "higher"
+            ].forEach((name) => {
+                queue.add(() => {
+                    order.push(name);
+                }, {
+                    priority: {
+                        high: 5,
+                        higher: 10,
+                        low: -1,
+                        normal: 0
+                    }[name]
+                });
+            });
+            queue.resume();
+
+            return queue.onIdle().then(() => {
+                expect(order).toEqual([
+                    "higher",
+                    "high",
+                    "normal",
+                    "low"
+                ]);
+            });
+        });
+        it("pauses and resumes", () => {
+            var queue, started;
+
+            started = false;
+            queue = new morePromises.Queue();
+            queue.pause();
+            queue.add(() => {
+                started = true;
+            });
+            expect(started).toBe(false);
+            expect(queue.size).toBe(1);
+            queue.resume();
+            expect(started).toBe(true);
+            expect(queue.size).toBe(0);
+        });
+        it("counts waiting and running jobs", () => {
+            var queue;
+
+            queue = new morePromises.Queue({
+                concurrency: 1
+            });
+            queue.add(() => {
+                return delayedPromise(5);
+            });
+            queue.add(() => {
+                return delayedPromise(5);
+            });
+            expect(queue.pending).toBe(1);
+            expect(queue.size).toBe(1);
+
+            return queue.onEmpty().then(() => {
+                expect(queue.pending).toBe(1);
+                expect(queue.size).toBe(0);
+
+                return queue.onIdle();
+            }).then(() => {
+                expect(queue.pending).toBe(0);
+                expect(queue.size).toBe(0);
+            });
+        });
+        it("resolves onIdle() immediately when nothing is queued", () => {
+            return new morePromises.Queue().onIdle();
+        });
+        it("rejects jobs that take too long", () => {
+            var queue;
+
+            queue = new morePromises.Queue({
+                timeout: 50
+            });
+
+            return Promise.all([
+                queue.add(() => {
+                    return delayedPromise(100, "slow");
+                }, {
+                    timeout: 10
+                }).then(jasmine.fail, (rejection) => {
+                    expect(rejection.message).toBe("Timeout after 10 milliseconds");
+                }),
+                queue.add(() => {
+                    return delayedPromise(5, "fast");
+                }).then((result) => {
+                    expect(result).toBe("fast");
+                })
+            ]);
+        });
+    });
+    describe("settle()", () => {
+        it("waits for delayed promises and preserves indexes", () => {
+            return morePromises.settle([
+                delayedPromise(15, 15),
+                delayedPromise(5, 5),
+                "some value"
+            ]).then((result) => {
+                expect(result).toEqual([
+                    15,
+                    5,
+                    "some value"
+                ]);
+            });
+        });
+        it("rejects only after all promises are done and preserves indexes", () => {
+            startTimer();
+
+            return morePromises.settle({
+                fast: delayedPromise(10, 10),
+                rejected: delayedPromise(5, 5, true),
+                slow: delayedPromise(50, "last", true),
+                value: "some value"
+            }).then(jasmine.fail, (rejection) => {
+                expect(elapsedTime()).not.toBeLessThan(50);
+                expect(elapsedTime()).toBeLessThan(100);
+                expect(rejection).toEqual({
+                    rejected: 5,
+                    slow: "last"
+                });
+            });
+        });
+        it("waits for delayed promises and condenses the sparse rejection array", () => {
+            return morePromises.settle([
+                delayedPromise(15, 15),
+                delayedPromise(5, 5, true),
+                delayedPromise(10, null, true),
+                // eslint-disable-next-line no-undefined
+                delayedPromise(5, undefined, true)
+            ]).then(jasmine.fail, (rejection) => {
+                expect(rejection).toEqual([
+                    5,
+                    null,
+                    // eslint-disable-next-line no-undefined
+                    undefined
+                ]);
+            });
+        });
+        it("waits for delayed promises and doesn't condense the sparse rejection array", () => {
+            return morePromises.settle([
+                delayedPromise(15, 15),
+                delayedPromise(5, 5, true),
+                delayedPromise(10, null, true),
+                delayedPromise(15, 15),
+                // eslint-disable-next-line no-undefined
+                delayedPromise(5, undefined, true)
+            ], {
+                sparse: true
+            }).then(jasmine.fail, (rejection) => {
+                // eslint-disable-next-line no-sparse-arrays
+                expect(rejection).toEqual([
+                    // eslint-disable-next-line comma-style
+                    ,
+                    5,
+                    null,
+                    // eslint-disable-next-line comma-style
+                    ,
+                    // eslint-disable-next-line no-undefined
+                    undefined
+                ]);
+            });
+        });
+        it("reports progress as each item is settled", () => {
+            var onProgress, onSettled;
+
+            onProgress = jasmine.createSpy("onProgress");
+            onSettled = jasmine.createSpy("onSettled");
+
+            return morePromises.settle(makeGenerator([
+                delayedPromise(5, "failure", true),
+                delayedPromise(10, "success")
+            ]), {
+                onProgress,
+                onSettled
+            }).then(jasmine.fail, () => {
+                expect(onSettled.calls.allArgs()).toEqual([
+                    [
+                        0,
+                        "rejected",
+                        "failure"
+                    ],
+                    [
+                        1,
+                        "fulfilled",
+                        "success"
+                    ]
+                ]);
+                expect(onProgress.calls.mostRecent().args[0]).toEqual({
+                    completed: 2,
+                    remaining: 0,
+                    total: 2
+                });
+            });
+        });
+        it("rejects with a SettleError when asked", () => {
+            return morePromises.settle({
+                fulfilled: delayedPromise(5, "ok"),
+                rejected: delayedPromise(10, "failure", true),
+                value: "value"
+            }, {
+                settleError: true
+            }).then(jasmine.fail, (err) => {
+                expect(err).toEqual(jasmine.any(morePromises.SettleError));
+                expect(err).toEqual(jasmine.any(Error));
+                expect(err.name).toBe("SettleError");
+                expect(err.message).toBe("1 of 3 items in the list were rejected");
+                expect(err.stack).toEqual(jasmine.any(String));
+                expect(err.errors).toEqual({
+                    rejected: "failure"
+                });
+                expect(err.results).toEqual({
+                    fulfilled: "ok",
+                    value: "value"
+                });
+            });
+        });
+        it("condenses the arrays in a SettleError unless sparse", () => {
+            var list;
+
+            list = () => {
+                return [
+                    delayedPromise(5, "failure", true),
+                    "value"
+                ];
+            };
+
+            return morePromises.settle(list(), {
+                settleError: true
+            }).then(jasmine.fail, (err) => {
+                expect(err.errors).toEqual([
+                    "failure"
+                ]);
+                expect(err.results).toEqual([
+                    "value"
+                ]);
+
+                return morePromises.settle(list(), {
+                    settleError: true,
+                    sparse: true
+                });
+            }).then(jasmine.fail, (err) => {
+                expect(err.results.length).toBe(2);
+                expect(Object.keys(err.results)).toEqual([
+                    "1"
+                ]);
+            });
+        });
+        it("resolves with fulfilled and rejected lists when partial", () => {
+            return morePromises.settle([
+                delayedPromise(5, "failure", true),
+                delayedPromise(10, "success"),
+                "value"
+            ], {
+                partial: true
+            }).then((result) => {
+                expect(result).toEqual({
+                    fulfilled: [
+                        "success",
+                        "value"
+                    ],
+                    rejected: [
+                        "failure"
+                    ]
+                });
+            });
+        });
+        it("preserves indexes when partial and sparse", () => {
+            return morePromises.settle([
+                delayedPromise(5, "failure", true),
+                "value"
+            ], {
+                partial: true,
+                sparse: true
+            }).then((result) => {
+                expect(Object.keys(result.fulfilled)).toEqual([
+                    "1"
+                ]);
+                expect(result.rejected).toEqual([
+                    "failure"
+                ]);
+            });
+        });
+        it("resolves with an empty rejected list when partial and nothing failed", () => {
+            return morePromises.settle({
+                value: "value"
+            }, {
+                partial: true
+            }).then((result) => {
+                expect(result).toEqual({
+                    fulfilled: {
+                        value: "value"
+                    },
+                    rejected: {}
+                });
+            });
+        });
+        it("treats null as a value and collects thenable errors", () => {
+            var thenable;
+
+            thenable = {};
+            Object.defineProperty(thenable, "then", {
+                get: () => {
+                    throw new Error("getter");
+                }
+            });
+
+            return morePromises.settle([
+                null,
+                thenable
+            ]).then(jasmine.fail, (rejection) => {
+                expect(rejection.length).toBe(1);
+                expect(rejection[0].message).toBe("getter");
+            });
+        });
+        it("rejects with a Map when given a Map", () => {
+            return morePromises.settle(new Map([
+                [
+                    1,
+                    delayedPromise(5, 5, true)
+                ],
+                [
+                    2,
+                    delayedPromise(5, 5)
+                ]
+            ])).then(jasmine.fail, (rejection) => {
+                expect(rejection).toEqual(jasmine.any(Map));
+                expect(rejection.get(1)).toBe(5);
+                expect(rejection.has(2)).toBe(false);
+            });
+        });
+        it("reads an async iterable", () => {
+            return morePromises.settle(makeAsyncIterable([
+                delayedPromise(5, 5, true),
+                "value"
+            ])).then(jasmine.fail, (rejection) => {
+                expect(rejection).toEqual([
+                    5
+                ]);
+            });
+        });
+        it("passes a signal to tasks and waits for them after aborting", () => {
+            var promise, token;
+
+            token = makeCancelToken();
+            startTimer();
+            promise = morePromises.settle([
+                abortableTask(5, "fast"),
+                abortableTask(100, "slow")
+            ], {
+                signal: token
+            });
+            setTimeout(() => {
+                token.abort();
+            }, 20);
+
+            return promise.then(jasmine.fail, (rejection) => {
+                expect(elapsedTime()).toBeLessThan(100);
+                expect(rejection).toEqual([
+                    "aborted"
+                ]);
+            });
+        });
+        it("aborts the signal once everything is settled", () => {
+            var task;
+
+            task = abortableTask(5, "ok");
+
+            return morePromises.settle([
+                task
+            ], {
+                abortOnSettle: true
+            }).then((result) => {
+                expect(result).toEqual([
+                    "ok"
+                ]);
+                expect(task.signal.aborted).toBe(true);
+            });
+        });
+        it("includes items that took too long in the rejections", () => {
+            return morePromises.settle({
+                fast: delayedPromise(5, "fast"),
+                slow: delayedPromise(100, "slow")
+            }, {
+                itemTimeout: 20,
+                partial: true
+            }).then((result) => {
+                expect(result.fulfilled).toEqual({
+                    fast: "fast"
+                });
+                expect(result.rejected.slow.message).toBe("Timeout after 20 milliseconds");
+            });
+        });
+    });
+    describe("race()", () => {
+        it("resolves if the first one is resolved", () => {
+            startTimer();
+
+            return morePromises.race([
+                delayedPromise(15, 15),
+                delayedPromise(5, 5),
+                delayedPromise(10, 10, true),
+                delayedPromise(100, 100)
+            ]).then((result) => {
+                expect(result).toEqual(5);
+                expect(elapsedTime()).not.toBeLessThan(5);
+                expect(elapsedTime()).toBeLessThan(20);
+            });
+        });
+        it("rejects if the first one is rejected", () => {
+            startTimer();
+
+            return morePromises.race([
+                delayedPromise(15, 15),
+                delayedPromise(5, 5, true),
+                delayedPromise(10, 10),
+                delayedPromise(100, 100)
+            ]).then(jasmine.fail, (result) => {
+                expect(result).toEqual(5);
+                expect(elapsedTime()).not.toBeLessThan(5);
+                expect(elapsedTime()).toBeLessThan(20);
+            });
+        });
+        it("resolves immediately if a non-promise is supplied", () => {
+            startTimer();
+
+            return morePromises.race([
+                delayedPromise(10, 10, false),
+                "thing"
+            ]).then((result) => {
+                expect(elapsedTime()).toBeLessThan(10);
+                expect(result).toBe("thing");
+            });
+        });
+        it("resolves if there's nothing in the list", () => {
+            return morePromises.race({}).then((result) => {
+                expect(result).not.toBeDefined();
+            });
+        });
+        it("resolves with null values", () => {
+            return morePromises.race([
+                null,
+                delayedPromise(5, 5)
+            ]).then((result) => {
+                expect(result).toBe(null);
+            });
+        });
+        it("works with generators and async iterables", () => {
+            return morePromises.race(makeGenerator([
+                delayedPromise(10, 10),
+                delayedPromise(5, 5)
+            ])).then((result) => {
+                expect(result).toBe(5);
+
+                return morePromises.race(makeAsyncIterable([
+                    delayedPromise(10, 10),
+                    delayedPromise(5, 5)
+                ]));
+            }).then((result) => {
+                expect(result).toBe(5);
+            });
+        });
+        it("aborts the losing tasks", () => {
+            var fast, slow;
+
+            fast = abortableTask(5, "fast");
+            slow = abortableTask(100, "slow");
+
+            return morePromises.race([
+                slow,
+                fast
+            ], {
+                abortOnSettle: true
+            }).then((result) => {
+                expect(result).toBe("fast");
+                expect(slow.signal.aborted).toBe(true);
+                expect(fast.signal).toBe(slow.signal);
+            });
+        });
+        it("rejects when the signal is aborted", () => {
+            var promise, token;
+
+            token = makeCancelToken();
+            promise = morePromises.race([
+                abortableTask(100, "slow")
+            ], {
+                signal: token
+            });
+            token.abort();
+
+            return promise.then(jasmine.fail, (rejection) => {
+                expect(rejection.name).toBe("AbortError");
+            });
+        });
+        it("does not call tasks when the signal was already aborted", () => {
+            var task, token;
+
+            task = jasmine.createSpy("task");
+            token = makeCancelToken();
+            token.abort();
+
+            return morePromises.race([
+                task
+            ], {
+                signal: token
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection.name).toBe("AbortError");
+                expect(task).not.toHaveBeenCalled();
+                expect(token.listeners.length).toBe(0);
+            });
+        });
+    });
+    describe("reduce()", () => {
+        it("passes the accumulator through each call in order", () => {
+            return morePromises.reduce([
+                delayedPromise(10, 1),
+                2,
+                delayedPromise(1, 3)
+            ], (accumulator, value, key) => {
+                return delayedPromise(1, `${accumulator},${key}:${value}`);
+            }, delayedPromise(1, "start")).then((result) => {
+                expect(result).toBe("start,0:1,1:2,2:3");
+            });
+        });
+        it("uses the first item without an initial value", () => {
+            return morePromises.reduce({
+                a: 1,
+                b: 2,
+                c: 3
+            }, (accumulator, value) => {
+                return accumulator + value;
+            }).then((result) => {
+                expect(result).toBe(6);
+            });
+        });
+        it("resolves with the initial value for an empty list", () => {
+            return morePromises.reduce([], () => {
+                return "unused";
+            }, "initial").then((result) => {
+                expect(result).toBe("initial");
+            });
+        });
+        it("rejects when a call fails", () => {
+            return morePromises.reduce([
+                1,
+                2
+            ], () => {
+                return delayedPromise(1, "failed", true);
+            }, 0).then(jasmine.fail, (rejection) => {
+                expect(rejection).toBe("failed");
+            });
+        });
+    });
+    describe("reflect()", () => {
+        it("always resolves and provides all promise statuses", () => {
+            return morePromises.reflect([
+                delayedPromise(5, 5),
+                delayedPromise(10, 10, true),
+                "a value"
+            ]).then((result) => {
+                expect(result).toEqual([
+                    {
+                        state: "fulfilled",
+                        value: 5
+                    },
+                    {
+                        state: "rejected",
+                        value: 10
+                    },
+                    {
+                        state: "not-promise",
+                        value: "a value"
+                    }
+                ]);
+            });
+        });
+        it("resolves when given an empty list", () => {
+            return morePromises.reflect({}).then((result) => {
+                expect(result).toEqual({});
+            });
+        });
+        it("reports progress as each item is settled", () => {
+            var onProgress, onSettled;
+
+            onProgress = jasmine.createSpy("onProgress");
+            onSettled = jasmine.createSpy("onSettled");
+
+            return morePromises.reflect([
+                "value",
+                delayedPromise(5, "failure", true)
+            ], {
+                onProgress,
+                onSettled
+            }).then(() => {
+                expect(onSettled.calls.allArgs()).toEqual([
+                    [
+                        0,
+                        "not-promise",
+                        "value"
+                    ],
+                    [
+                        1,
+                        "rejected",
+                        "failure"
+                    ]
+                ]);
+                expect(onProgress.calls.count()).toBe(2);
+                expect(onProgress.calls.first().args[0]).toEqual({
+                    completed: 1,
+                    remaining: 1,
+                    total: 2
+                });
+            });
+        });
+        it("treats null and undefined as values", () => {
+            return morePromises.reflect({
+                nothing: null,
+                // eslint-disable-next-line no-undefined
+                notDefined: undefined
+            }).then((result) => {
+                expect(result).toEqual({
+                    nothing: {
+                        state: "not-promise",
+                        value: null
+                    },
+                    notDefined: {
+                        state: "not-promise",
+                        // eslint-disable-next-line no-undefined
+                        value: undefined
+                    }
+                });
+            });
+        });
+        it("works with generators, Sets, Maps and async iterables", () => {
+            var expected;
+
+            expected = [
+                {
+                    state: "fulfilled",
+                    value: 5
+                },
+                {
+                    state: "not-promise",
+                    value: "value"
+                }
+            ];
+
+            return morePromises.all([
+                morePromises.reflect(makeGenerator([
+                    delayedPromise(5, 5),
+                    "value"
+                ])),
+                morePromises.reflect(new Set([
+                    delayedPromise(5, 5),
+                    "value"
+                ])),
+                morePromises.reflect(new Map([
+                    [
+                        "a",
+                        delayedPromise(5, 5)
+                    ],
+                    [
+                        "b",
+                        "value"
+                    ]
+                ])),
+                morePromises.reflect(makeAsyncIterable([
+                    delayedPromise(5, 5),
+                    "value"
+                ]))
+            ]).then((results) => {
+                expect(results[0]).toEqual(expected);
+                expect(results[1]).toEqual(expected);
+                expect(results[2].get("a")).toEqual(expected[0]);
+                expect(results[2].get("b")).toEqual(expected[1]);
+                expect(results[3]).toEqual(expected);
+            });
+        });
+        it("passes a signal to tasks and waits for them after aborting", () => {
+            var promise, token;
+
+            token = makeCancelToken();
+            promise = morePromises.reflect({
+                slow: abortableTask(100, "slow"),
+                value: "value"
+            }, {
+                signal: token
+            });
+            token.abort();
+
+            return promise.then((result) => {
+                expect(result).toEqual({
+                    slow: {
+                        state: "rejected",
+                        value: "aborted"
+                    },
+                    value: {
+                        state: "not-promise",
+                        value: "value"
+                    }
+                });
+            });
+        });
+        it("still resolves when a callback throws", () => {
+            spyOn(process, "nextTick");
+
+            return morePromises.reflect([
+                Promise.reject("failed")
+            ], {
+                onProgress: () => {
+                    throw new Error("onProgress");
+                }
+            }).then((result) => {
+                expect(result).toEqual([
+                    {
+                        state: "rejected",
+                        value: "failed"
+                    }
+                ]);
+                expect(process.nextTick.calls.mostRecent().args[0]).toThrowError("onProgress");
+            });
+        });
+        it("reports items that took too long as timeouts", () => {
+            return morePromises.reflect([
+                delayedPromise(5, "fast"),
+                delayedPromise(5, "failed", true),
+                delayedPromise(100, "slow")
+            ], {
+                itemTimeout: 20
+            }).then((result) => {
+                expect(result[0]).toEqual({
+                    state: "fulfilled",
+                    value: "fast"
+                });
+                expect(result[1]).toEqual({
+                    state: "rejected",
+                    value: "failed"
+                });
+                expect(result[2].state).toBe("timeout");
+                expect(result[2].value.message).toBe("Timeout after 20 milliseconds");
+            });
+        });
+        it("times out every pending item when the whole list takes too long", () => {
+            startTimer();
+
+            return morePromises.reflect({
+                fast: delayedPromise(5, "fast"),
+                slow: delayedPromise(100, "slow"),
+                slower: delayedPromise(200, "slower")
+            }, {
+                timeout: 20
+            }).then((result) => {
+                expect(elapsedTime()).toBeLessThan(100);
+                expect(result.fast.state).toBe("fulfilled");
+                expect(result.slow.state).toBe("timeout");
+                expect(result.slower.state).toBe("timeout");
+                expect(result.slow.value).toBe(result.slower.value);
+            });
+        });
+    });
+    describe("retry()", () => {
+        it("resolves after a failure", () => {
+            var spy;
+
+            spy = jasmine.createSpy("fn").and.callFake((attempt) => {
+                return delayedPromise(1, attempt, attempt < 2);
+            });
+
+            return morePromises.retry(spy).then((result) => {
+                expect(result).toBe(2);
+                expect(spy.calls.count()).toBe(2);
+            });
+        });
+        it("rejects with all errors after the last attempt", () => {
+            return morePromises.retry((attempt) => {
+                throw attempt;
+            }, {
+                attempts: 4
+            }).then(jasmine.fail, (err) => {
+                expect(err).toEqual(jasmine.any(Error));
+                expect(err.message).toBe("Failed after 4 attempts");
+                expect(err.errors).toEqual([
+                    1,
+                    2,
+                    3,
+                    4
+                ]);
+            });
+        });
+        it("stops when shouldRetry returns false", () => {
+            var shouldRetry;
+
+            shouldRetry = jasmine.createSpy("shouldRetry").and.callFake((err) => {
+                return err !== "fatal";
+            });
+
+            return morePromises.retry((attempt) => {
+                if (attempt === 2) {
+                    return delayedPromise(1, "fatal", true);
+                }
+
+                return delayedPromise(1, "temporary", true);
+            }, {
+                attempts: 10,
+                shouldRetry
+            }).then(jasmine.fail, (err) => {
+                expect(err.errors).toEqual([
+                    "temporary",
+                    "fatal"
+                ]);
+                expect(shouldRetry.calls.allArgs()).toEqual([
+                    [
+                        "temporary",
+                        1
+                    ],
+                    [
+                        "fatal",
+                        2
+                    ]
+                ]);
+            });
+        });
+        it("rejects with the error thrown by shouldRetry", () => {
+            var fn;
+
+            fn = jasmine.createSpy("fn").and.callFake(() => {
+                return delayedPromise(1, "failure", true);
+            });
+
+            return morePromises.retry(fn, {
+                attempts: 10,
+                shouldRetry: () => {
+                    throw new Error("shouldRetry failed");
+                }
+            }).then(jasmine.fail, (err) => {
+                expect(err.message).toBe("shouldRetry failed");
+
+                return delayedPromise(5);
+            }).then(() => {
+                expect(fn.calls.count()).toBe(1);
+            });
+        });
+        it("waits with exponential backoff", () => {
+            startTimer();
+
+            return morePromises.retry(() => {
+                return Promise.reject("fail");
+            }, {
+                attempts: 4,
+                backoff: "exponential",
+                delay: 10,
+                maxDelay: 30
+            }).then(jasmine.fail, () => {
+                // 10 + 20 + 30
+                expect(elapsedTime()).not.toBeLessThan(60);
+                expect(elapsedTime()).toBeLessThan(200);
+            });
+        });
+        it("removes a random amount of time with jitter", () => {
+            spyOn(Math, "random").and.returnValue(0.5);
+            startTimer();
+
+            return morePromises.retry(() => {
+                return Promise.reject("fail");
+            }, {
+                attempts: 2,
+                delay: 100,
+                jitter: 1
+            }).then(jasmine.fail, () => {
+                expect(elapsedTime()).not.toBeLessThan(50);
+                expect(elapsedTime()).toBeLessThan(100);
+            });
+        });
+        it("rejects when the maximum time is exceeded", () => {
+            var spy;
 
-            obj.prototype = {
-                // Does not go up the prototype chain. Maybe at a later date.
-                func: () => {},
+            spy = jasmine.createSpy("fn").and.callFake((attempt) => {
+                if (attempt === 1) {
+                    return delayedPromise(1, "fast", true);
+                }
 
-                // Not a function and also not scanned
-                proto: true
-            };
+                return delayedPromise(100, "slow", true);
+            });
 
-            // Explicitly excluded
-            Object.defineProperty(obj, "getter", {
-                configurable: true,
-                get: () => {}
+            return morePromises.retry(spy, {
+                attempts: 10,
+                maxTime: 20
+            }).then(jasmine.fail, (err) => {
+                expect(err.message).toBe("Timeout after 20 milliseconds");
+                expect(err.errors).toEqual([
+                    "fast"
+                ]);
+
+                return morePromises.delay(40);
+            }).then(() => {
+                expect(spy.calls.count()).toBe(2);
             });
+        });
+        it("clears the delay timer when the maximum time is exceeded", () => {
+            spyOn(global, "setTimeout").and.callThrough();
+            spyOn(global, "clearTimeout").and.callThrough();
 
-            // Explicitly excluded
-            Object.defineProperty(obj, "setter", {
-                configurable: true,
-                get: () => {}
+            return morePromises.retry(() => {
+                return Promise.reject("failed");
+            }, {
+                attempts: 2,
+                delay: 2000,
+                maxTime: 20
+            }).then(jasmine.fail, (err) => {
+                var delayTimer;
+
+                expect(err.message).toBe("Timeout after 20 milliseconds");
+                delayTimer = setTimeout.calls.all().filter((call) => {
+                    return call.args[1] === 2000;
+                })[0].returnValue;
+                expect(clearTimeout).toHaveBeenCalledWith(delayTimer);
             });
-            morePromises.promisifyAll(obj);
-            expect(Object.keys(obj).sort()).toEqual([
-                "func",
-                "funcAsync",
-                "num",
-                "overwrite",
-                "overwriteAsync",
-                "prototype",
-                "str",
-                "thingAsync"
-            ]);
-            expect(obj.overwriteAsync).toBe(true);
         });
-        it("converts callback functions to promises", () => {
-            var obj;
+    });
+    describe("series()", () => {
+        it("calls one function at a time and preserves keys", () => {
+            var active, maxActive;
 
-            obj = {
-                func: (callback) => {
-                    callback(null, "ok!");
-                }
-            };
-            morePromises.promisifyAll(obj);
-            expect(obj.funcAsync).toEqual(jasmine.any(Function));
+            /**
+             * Creates a task that tracks how many tasks are running.
+             *
+             * @param {*} result
+             * @return {function}
+             */
+            function task(result) {
+                return () => {
+                    active += 1;
+                    maxActive = Math.max(active, maxActive);
 
-            return obj.funcAsync().then((result) => {
-                expect(result).toBe("ok!");
+                    return delayedPromise(5, result).then((resolution) => {
+                        active -= 1;
+
+                        return resolution;
+                    });
+                };
+            }
+
+            active = 0;
+            maxActive = 0;
+
+            return morePromises.series({
+                first: task(1),
+                second: task(2),
+                value: "value"
+            }).then((result) => {
+                expect(result).toEqual({
+                    first: 1,
+                    second: 2,
+                    value: "value"
+                });
+                expect(maxActive).toBe(1);
+            });
+        });
+        it("does not call later functions after a rejection", () => {
+            var called;
+
+            called = false;
+
+            return morePromises.series([
+                () => {
+                    return delayedPromise(1, "failed", true);
+                },
+                () => {
+                    called = true;
+                }
+            ]).then(jasmine.fail, (rejection) => {
+                expect(rejection).toBe("failed");
+                expect(called).toBe(false);
             });
         });
     });
-    describe("settle()", () => {
-        it("waits for delayed promises and preserves indexes", () => {
-            return morePromises.settle([
-                delayedPromise(15, 15),
+    describe("some()", () => {
+        it("resolves with the first fulfilled promises and preserves keys", () => {
+            return morePromises.some({
+                fast: delayedPromise(5, 5),
+                failed: delayedPromise(1, 1, true),
+                medium: delayedPromise(10, 10),
+                slow: delayedPromise(100, 100)
+            }, 2).then((result) => {
+                expect(result).toEqual({
+                    fast: 5,
+                    medium: 10
+                });
+            });
+        });
+        it("works with generators", () => {
+            return morePromises.some(makeGenerator([
+                delayedPromise(10, 10),
                 delayedPromise(5, 5),
-                "some value"
-            ]).then((result) => {
+                delayedPromise(1, 1, true)
+            ]), 1).then((result) => {
                 expect(result).toEqual([
-                    15,
-                    5,
-                    "some value"
+                    5
                 ]);
             });
         });
-        it("rejects only after all promises are done and preserves indexes", () => {
-            startTimer();
-
-            return morePromises.settle({
-                fast: delayedPromise(10, 10),
-                rejected: delayedPromise(5, 5, true),
-                slow: delayedPromise(50, "last", true),
-                value: "some value"
-            }).then(jasmine.fail, (rejection) => {
-                expect(elapsedTime()).not.toBeLessThan(50);
-                expect(elapsedTime()).toBeLessThan(100);
-                expect(rejection).toEqual({
-                    rejected: 5,
-                    slow: "last"
-                });
+        it("condenses arrays", () => {
+            return morePromises.some([
+                delayedPromise(100, 100),
+                delayedPromise(10, 10),
+                "value"
+            ], 2).then((result) => {
+                expect(result).toEqual([
+                    10,
+                    "value"
+                ]);
             });
         });
-        it("waits for delayed promises and condenses the sparse rejection array", () => {
-            return morePromises.settle([
-                delayedPromise(15, 15),
+        it("rejects as soon as too few can be fulfilled", () => {
+            startTimer();
+
+            return morePromises.some([
                 delayedPromise(5, 5, true),
-                delayedPromise(10, null, true),
-                // eslint-disable-next-line no-undefined
-                delayedPromise(5, undefined, true)
-            ]).then(jasmine.fail, (rejection) => {
+                delayedPromise(10, 10, true),
+                delayedPromise(100, 100)
+            ], 2).then(jasmine.fail, (rejection) => {
+                expect(elapsedTime()).toBeLessThan(100);
                 expect(rejection).toEqual([
                     5,
-                    null,
-                    // eslint-disable-next-line no-undefined
-                    undefined
+                    10
                 ]);
             });
         });
-        it("waits for delayed promises and doesn't condense the sparse rejection array", () => {
-            return morePromises.settle([
-                delayedPromise(15, 15),
-                delayedPromise(5, 5, true),
-                delayedPromise(10, null, true),
-                delayedPromise(15, 15),
-                // eslint-disable-next-line no-undefined
-                delayedPromise(5, undefined, true)
-            ], {
+        it("preserves indexes of the rejection array when sparse", () => {
+            return morePromises.some([
+                delayedPromise(5, 5),
+                delayedPromise(10, 10, true)
+            ], 2, {
                 sparse: true
             }).then(jasmine.fail, (rejection) => {
                 // eslint-disable-next-line no-sparse-arrays
                 expect(rejection).toEqual([
                     // eslint-disable-next-line comma-style
                     ,
-                    5,
-                    null,
-                    // eslint-disable-next-line comma-style
-                    ,
-                    // eslint-disable-next-line no-undefined
-                    undefined
+                    10
                 ]);
             });
         });
+        it("rejects when the list is too small", () => {
+            return morePromises.some([
+                "value"
+            ], 2).then(jasmine.fail, (rejection) => {
+                expect(rejection).toEqual([]);
+            });
+        });
     });
-    describe("race()", () => {
-        it("resolves if the first one is resolved", () => {
-            startTimer();
+    describe("streamToPromise()", () => {
+        it("resolves when a readable stream ends and collects chunks", () => {
+            var readable;
 
-            return morePromises.race([
-                delayedPromise(15, 15),
-                delayedPromise(5, 5),
-                delayedPromise(10, 10, true),
-                delayedPromise(100, 100)
-            ]).then((result) => {
-                expect(result).toEqual(5);
-                expect(elapsedTime()).not.toBeLessThan(5);
-                expect(elapsedTime()).toBeLessThan(20);
+            readable = new stream.PassThrough();
+            setTimeout(() => {
+                readable.write("a");
+                readable.end("b");
+            }, 1);
+
+            return morePromises.streamToPromise(readable, {
+                collect: true
+            }).then((chunks) => {
+                expect(Buffer.concat(chunks).toString()).toBe("ab");
+                expect(readable.listenerCount("data")).toBe(0);
+                expect(readable.listenerCount("end")).toBe(0);
             });
         });
-        it("rejects if the first one is rejected", () => {
-            startTimer();
+        it("resolves when a writable stream finishes", () => {
+            var writable;
 
-            return morePromises.race([
-                delayedPromise(15, 15),
-                delayedPromise(5, 5, true),
-                delayedPromise(10, 10),
-                delayedPromise(100, 100)
-            ]).then(jasmine.fail, (result) => {
-                expect(result).toEqual(5);
-                expect(elapsedTime()).not.toBeLessThan(5);
-                expect(elapsedTime()).toBeLessThan(20);
+            writable = new stream.Writable({
+                write: (chunk, encoding, callback) => {
+                    callback();
+                }
+            });
+            setTimeout(() => {
+                writable.end("data");
+            }, 1);
+
+            return morePromises.streamToPromise(writable).then((result) => {
+                expect(result).not.toBeDefined();
             });
         });
-        it("resolves immediately if a non-promise is supplied", () => {
-            startTimer();
+        it("resolves right away when the stream already finished", () => {
+            var finished, writable;
 
-            return morePromises.race([
-                delayedPromise(10, 10, false),
-                "thing"
-            ]).then((result) => {
-                expect(elapsedTime()).toBeLessThan(10);
-                expect(result).toBe("thing");
+            writable = new stream.Writable({
+                write: (chunk, encoding, callback) => {
+                    callback();
+                }
+            });
+
+            // Older versions of Node emit "finish" during end()
+            finished = morePromises.fromEvent(writable, "finish");
+            writable.end();
+
+            return finished.then(() => {
+                return morePromises.streamToPromise(writable);
             });
         });
-        it("resolves if there's nothing in the list", () => {
-            return morePromises.race({}).then((result) => {
-                expect(result).not.toBeDefined();
+        it("resolves with no chunks when the stream already ended", () => {
+            var readable;
+
+            readable = new stream.PassThrough();
+            readable.end("data");
+            readable.resume();
+
+            return morePromises.fromEvent(readable, "end").then(() => {
+                return morePromises.streamToPromise(readable, {
+                    collect: true
+                });
+            }).then((chunks) => {
+                expect(chunks).toEqual([]);
+            });
+        });
+        it("rejects when the stream closes before it ends", () => {
+            var readable;
+
+            readable = new stream.PassThrough();
+            setTimeout(() => {
+                readable.emit("close");
+            }, 1);
+
+            return morePromises.streamToPromise(readable).then(jasmine.fail, (rejection) => {
+                expect(rejection.message).toBe("The stream was closed before it ended");
+                expect(readable.listenerCount("close")).toBe(0);
+            });
+        });
+        it("rejects when the stream was already destroyed", () => {
+            var readable;
+
+            readable = new stream.PassThrough();
+            readable.destroy();
+
+            return morePromises.streamToPromise(readable).then(jasmine.fail, (rejection) => {
+                expect(rejection).toEqual(jasmine.any(Error));
+            });
+        });
+        it("rejects on an error", () => {
+            var readable;
+
+            readable = new stream.PassThrough();
+            setTimeout(() => {
+                readable.emit("error", new Error("failed"));
+            }, 1);
+
+            return morePromises.streamToPromise(readable).then(jasmine.fail, (rejection) => {
+                expect(rejection.message).toBe("failed");
+                expect(readable.listenerCount("error")).toBe(0);
             });
         });
     });
-    describe("reflect()", () => {
-        it("always resolves and provides all promise statuses", () => {
-            return morePromises.reflect([
-                delayedPromise(5, 5),
-                delayedPromise(10, 10, true),
-                "a value"
+    describe("throttle()", () => {
+        it("throws when the options are missing or invalid", () => {
+            var fn;
+
+            fn = () => {};
+            expect(() => {
+                morePromises.throttle(fn);
+            }).toThrowError(TypeError, "The limit option must be a number of at least 1");
+            expect(() => {
+                morePromises.throttle(fn, {
+                    interval: 10,
+                    limit: 0
+                });
+            }).toThrowError(TypeError, "The limit option must be a number of at least 1");
+            expect(() => {
+                morePromises.throttle(fn, {
+                    limit: 2
+                });
+            }).toThrowError(TypeError, "The interval option must be a number of milliseconds");
+            expect(() => {
+                morePromises.throttle(fn, {
+                    interval: -1,
+                    limit: 2
+                });
+            }).toThrowError(TypeError, "The interval option must be a number of milliseconds");
+        });
+        it("limits the number of calls within the interval", () => {
+            var calls, throttled;
+
+            calls = [];
+            throttled = morePromises.throttle((value) => {
+                calls.push(elapsedTime());
+
+                return value * 10;
+            }, {
+                interval: 30,
+                limit: 2
+            });
+            startTimer();
+
+            return Promise.all([
+                throttled(1),
+                throttled(2),
+                throttled(3)
             ]).then((result) => {
                 expect(result).toEqual([
-                    {
-                        state: "fulfilled",
-                        value: 5
-                    },
-                    {
-                        state: "rejected",
-                        value: 10
-                    },
-                    {
-                        state: "not-promise",
-                        value: "a value"
-                    }
+                    10,
+                    20,
+                    30
                 ]);
+                expect(calls[1]).toBeLessThan(20);
+                expect(calls[2]).not.toBeLessThan(25);
             });
         });
-        it("resolves when given an empty list", () => {
-            return morePromises.reflect({}).then((result) => {
-                expect(result).toEqual({});
+        it("passes the context and rejects when the function throws", () => {
+            var fail, obj;
+
+            /**
+             * Throws the message of the object it is called on.
+             *
+             * @this {Object}
+             */
+            fail = function () {
+                throw new Error(this.message);
+            };
+            obj = {
+                fail: morePromises.throttle(fail, {
+                    interval: 10,
+                    limit: 1
+                }),
+                message: "thrown"
+            };
+
+            return obj.fail().then(jasmine.fail, (rejection) => {
+                expect(rejection.message).toBe("thrown");
+            });
+        });
+        it("drops queued calls when the signal is aborted", () => {
+            var first, second, third, throttled, token;
+
+            token = makeCancelToken();
+            throttled = morePromises.throttle(() => {
+                return "called";
+            }, {
+                interval: 100,
+                limit: 1,
+                signal: token
+            });
+            startTimer();
+            first = throttled();
+            second = throttled();
+            token.abort();
+            third = throttled();
+
+            return Promise.all([
+                first,
+                second.then(jasmine.fail, (rejection) => {
+                    return rejection.name;
+                }),
+                third.then(jasmine.fail, (rejection) => {
+                    return rejection.name;
+                })
+            ]).then((result) => {
+                expect(elapsedTime()).toBeLessThan(50);
+                expect(result).toEqual([
+                    "called",
+                    "AbortError",
+                    "AbortError"
+                ]);
             });
         });
     });
@@ -472,5 +3640,61 @@ describe("lib/index.js", () => {
                 expect(result).toEqual("sad");
             });
         });
+        it("clears the timer when the promise settles", () => {
+            spyOn(global, "clearTimeout").and.callThrough();
+
+            return morePromises.timeout(delayedPromise(1, 1), 1000).then(() => {
+                expect(clearTimeout).toHaveBeenCalled();
+            });
+        });
+        it("rejects when aborted", () => {
+            var promise, token;
+
+            token = makeCancelToken();
+            startTimer();
+            promise = morePromises.timeout(delayedPromise(100, 100), 1000, null, {
+                signal: token
+            });
+            setTimeout(() => {
+                token.abort();
+            }, 10);
+
+            return promise.then(jasmine.fail, (rejection) => {
+                expect(elapsedTime()).toBeLessThan(50);
+                expect(rejection.name).toBe("AbortError");
+                expect(token.listeners.length).toBe(0);
+            });
+        });
+        it("rejects immediately when already aborted", () => {
+            var token;
+
+            token = makeCancelToken();
+            token.abort();
+
+            return morePromises.timeout(delayedPromise(10, 10), 1000, null, {
+                signal: token
+            }).then(jasmine.fail, (rejection) => {
+                expect(rejection.name).toBe("AbortError");
+            });
+        });
+    });
+    describe("waterfall()", () => {
+        it("passes each result to the next function", () => {
+            return morePromises.waterfall([
+                (value) => {
+                    return delayedPromise(5, value + 1);
+                },
+                (value) => {
+                    return value * 10;
+                }
+            ], 1).then((result) => {
+                expect(result).toBe(20);
+            });
+        });
+        it("resolves with the seed when there are no functions", () => {
+            return morePromises.waterfall([], "seed").then((result) => {
+                expect(result).toBe("seed");
+            });
+        });
     });
 });